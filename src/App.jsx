@@ -17,20 +17,104 @@ import {
   Star,
   Palette,
   MapPin,
-  Navigation2
+  Navigation2,
+  Trash2,
+  HardDrive,
+  FlaskConical,
+  BookHeart,
+  Tag as TagIcon,
+  Download,
+  Link2,
+  CalendarDays,
+  Pin,
+  Shuffle,
+  Pencil,
+  RotateCcw,
+  RotateCw,
+  Crop,
+  Eraser,
+  ChevronDown,
+  Info,
+  Search,
+  Layers,
+  Columns2,
+  ThumbsUp,
+  ThumbsDown,
+  History as HistoryIcon,
+  Play,
+  Bookmark,
+  FileUp,
+  Archive,
+  Copy,
+  Luggage,
+  Printer,
+  BarChart3
 } from "lucide-react";
+import { FORECAST_DAYS, createApiClient, isAbortError } from "./api";
+import { DEFAULT_MOCK_CONFIG, createMockFetch } from "./mockApi";
+import { getStorageEstimate, isQuotaError, requestPersistentStorage } from "./db";
+import { clearWardrobe, createItem, emptyWardrobe, indexItems, lastSavedWardrobe, loadWardrobe, newItemId, syncWardrobe, uploadPayload, withItemIds } from "./wardrobeStore";
+import { FORMALITY_LEVELS, SEASONS, WARMTH_LEVELS, hasMeta, itemLabel, normalizeMeta } from "./itemMeta";
+import { COLLAGE_LAYOUTS, COLLAGE_SIZES, downloadBlob, renderCollage } from "./collage";
+import { ROUTES, buildAppUrl, readUrlState } from "./urlState";
+import { DEFAULT_EDITS, applyEdits, hexToRgb, renderEditedFile, rgbToHex } from "./imageEdit";
+import { DEFAULT_PREP_SETTINGS, preprocessImages } from "./imagePrep";
+import { checkDuplicates } from "./imageHash";
+import { COLOR_FAMILIES, colorFamily, filePalette, paletteFamilies, paletteModeFor, rgbToHsv, urlPalette } from "./palette";
+import { HARMONIES, analyzeHarmony, colorPoint, rgbHueFromRyb } from "./harmony";
+import { createPlace, formatCoords, isWeatherFresh, legacyPlace, parseCoords, searchCities } from "./places";
+import { MAX_USES_PER_WEEK, buildPlan, forecastDays, isoDate, pickOutfit, planCombo, usageCounts } from "./planner";
+import { MAX_OUTFITS_PER_DAY, MAX_TRIP_DAYS, buildCapsule, packingList, tripDays, validateTrip, weatherGroups, weatherKey } from "./trip";
+import { createOutfit, deleteOutfit, loadOutfits, outfitKey, putOutfit } from "./lookbookStore";
+import { explainCombo } from "./explain";
+import { BUILTIN_PRESETS, createPreset, exportPresets, findMatchingPreset, mergePresets, parsePresetFile } from "./presets";
+import { addHistory, clearHistory, createHistoryEntry, deleteHistory, historyAnchors, loadHistory } from "./historyStore";
+import { applyArchive, exportWardrobeArchive, readWardrobeArchive } from "./wardrobeArchive";
+import { balanceWarnings, colorDistribution, comboCapacity, countLabel, keyPieces, nextAdditions, usageFromHistory, wardrobeCounts } from "./wardrobeStats";
+import { MAX_ANCHORS, MERGE_MODES, mergeAnchorResponses } from "./anchorMerge";
+import { applyVote, buildPreferences, createFeedback, feedbackKey, rerankCatalog, rerankCombos, voteMap } from "./feedback";
+import { MAX_COMPARE, catalogRows, comboRows, toggleCompare } from "./compare";
+import { CATALOG_SORTS, DEFAULT_CATALOG_VIEW, EMPTY_FILTERS, bucketCounts, filterItems, groupByBucket, itemBucket, scoreRange, sortItems } from "./catalogFacets";
 
 // Constants + Utils
 const BUCKETS = ["tops", "bottoms", "outerwear", "footwear"];
+const TABS = [
+  { id: "catalog", label: "Catalog Search" },
+  { id: "wardrobe", label: "My Wardrobe" },
+  { id: "planner", label: "Week Planner" },
+  { id: "trip", label: "Trip Packing" },
+  { id: "lookbook", label: "Lookbook" },
+];
 const MAX_FILE_SIZE = 10 * 1024 * 1024;
 const SUPPORTED_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
 
+// Settings requested through the URL on first load (e.g. from a shared link)
+const initialUrlState = readUrlState(window.location, BUCKETS);
+
 const cn = (...classes) => classes.filter(Boolean).join(" ");
 const humanize = (str) => str.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+const formatBytes = (n) => n >= 1024 * 1024 * 1024
+  ? `${(n / 1024 / 1024 / 1024).toFixed(1)}GB`
+  : n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)}MB` : `${Math.round(n / 1024)}KB`;
+
+const wardrobeProblemOf = (wardrobe) => {
+  const filled = BUCKETS.filter((b) => (wardrobe[b]?.length || 0) > 0);
+  if (filled.reduce((n, b) => n + wardrobe[b].length, 0) < 2) return "Add at least 2 clothing items";
+  return filled.length < 2 ? "Use at least 2 categories" : "";
+};
+
+// A stored palette only counts for the same photo and extraction mode
+const paletteEntry = (palettes, item, mode) => {
+  const entry = palettes.get(item.id);
+  return entry && entry.file === item.file && entry.mode === mode ? entry : null;
+};
 
-// Persist simple state
-function useLocalStorage(key, initialValue) {
+// Persist simple state. An `override` (e.g. a value from a shared URL) wins over
+// what's stored but only for this session: it isn't written back until changed.
+function useLocalStorage(key, initialValue, override) {
+  const sessionValue = useRef(override);
   const [value, setValue] = useState(() => {
+    if (override !== undefined) return override;
     try {
       const item = window.localStorage.getItem(key);
       return item ? JSON.parse(item) : initialValue;
@@ -39,6 +123,10 @@ function useLocalStorage(key, initialValue) {
     }
   });
   useEffect(() => {
+    if (sessionValue.current !== undefined) {
+      if (Object.is(value, sessionValue.current)) return;
+      sessionValue.current = undefined;
+    }
     try {
       window.localStorage.setItem(key, JSON.stringify(value));
     } catch {}
@@ -196,6 +284,39 @@ const SectionTitle = ({ children, icon: Icon }) => (
   </div>
 );
 
+const Modal = ({ title, icon: Icon, onClose, children, wide = false }) => {
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-slate-900/40 p-4 backdrop-blur-sm" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.96 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        className={cn("max-h-[90vh] w-full overflow-y-auto rounded-3xl bg-white p-6 shadow-2xl", wide ? "max-w-5xl" : "max-w-lg")}
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            {Icon && <Icon className="h-5 w-5 text-slate-600" />}
+            <h2 className="text-lg font-semibold text-slate-900">{title}</h2>
+          </div>
+          <button onClick={onClose} className="rounded-full p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-600 transition-colors">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        {children}
+      </motion.div>
+    </div>
+  );
+};
+
 function validateFile(file) {
   if (!SUPPORTED_TYPES.includes(file.type)) {
     throw new Error(`Unsupported type: ${file.type}`);
@@ -206,13 +327,77 @@ function validateFile(file) {
   return true;
 }
 
+// Mock backend controls (header dropdown)
+const MockPanel = ({ config, onChange }) => {
+  const set = (patch) => onChange({ ...config, ...patch });
+  return (
+    <div className="absolute right-0 top-full z-30 mt-2 w-72 space-y-4 rounded-2xl border border-slate-200 bg-white p-4 text-left shadow-xl">
+      <label className="flex items-center justify-between gap-2 text-sm font-medium text-slate-700">
+        Use mock backend
+        <input
+          type="checkbox"
+          checked={config.enabled}
+          onChange={(e) => set({ enabled: e.target.checked })}
+          className="h-4 w-4 rounded border-slate-300 text-violet-600 focus:ring-violet-500"
+        />
+      </label>
+      <div>
+        <label className="mb-1 block text-xs text-slate-500">Latency: {config.latencyMs}ms</label>
+        <input
+          type="range"
+          min={0}
+          max={5000}
+          step={100}
+          value={config.latencyMs}
+          onChange={(e) => set({ latencyMs: Number(e.target.value) })}
+          className="w-full accent-violet-600"
+          disabled={!config.enabled}
+        />
+      </div>
+      <div>
+        <label className="mb-1 block text-xs text-slate-500">Error rate: {Math.round(config.errorRate * 100)}%</label>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={config.errorRate}
+          onChange={(e) => set({ errorRate: Number(e.target.value) })}
+          className="w-full accent-violet-600"
+          disabled={!config.enabled}
+        />
+      </div>
+      <div>
+        <label className="mb-1 block text-xs text-slate-500">Injected error</label>
+        <select
+          value={config.errorKind}
+          onChange={(e) => set({ errorKind: e.target.value })}
+          className="w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+          disabled={!config.enabled}
+        >
+          <option value="server">Server error (500)</option>
+          <option value="network">Network failure</option>
+        </select>
+      </div>
+      <div className="text-[11px] text-slate-500">
+        Serves fixture responses for health, weather and recommendations without the Python service.
+      </div>
+    </div>
+  );
+};
+
 // Enhanced drop zone
-const DropZone = ({ label, multiple = false, onFiles, hint, disabled }) => {
+// `process(files)` optionally transforms accepted files before `onFiles` (see imagePrep.js);
+// failures from either are passed to `onError`
+const DropZone = ({ label, multiple = false, onFiles, hint, disabled, process, onError }) => {
   const inputRef = useRef(null);
   const [drag, setDrag] = useState(false);
+  const [processing, setProcessing] = useState(0);
+  const [summary, setSummary] = useState(null); // { count, before, after }
+  const inactive = disabled || processing > 0;
 
   const handleFiles = useCallback(
-    (files) => {
+    async (files) => {
       const list = Array.from(files).filter((f) => {
         try {
           validateFile(f);
@@ -222,17 +407,33 @@ const DropZone = ({ label, multiple = false, onFiles, hint, disabled }) => {
           return false;
         }
       });
-      list.length && onFiles(list);
+      if (!list.length) return;
+
+      setProcessing(process ? list.length : 0);
+      try {
+        if (!process) return await onFiles(list);
+        const results = await process(list);
+        setSummary({
+          count: results.length,
+          before: results.reduce((acc, r) => acc + r.before, 0),
+          after: results.reduce((acc, r) => acc + r.after, 0),
+        });
+        await onFiles(results.map((r) => r.file));
+      } catch (e) {
+        onError?.(e);
+      } finally {
+        setProcessing(0);
+      }
     },
-    [onFiles]
+    [onFiles, process, onError]
   );
 
   return (
     <motion.div
-      onClick={() => !disabled && inputRef.current?.click()}
+      onClick={() => !inactive && inputRef.current?.click()}
       onDragOver={(e) => {
         e.preventDefault();
-        !disabled && setDrag(true);
+        !inactive && setDrag(true);
       }}
       onDragLeave={(e) => {
         e.preventDefault();
@@ -241,11 +442,11 @@ const DropZone = ({ label, multiple = false, onFiles, hint, disabled }) => {
       onDrop={(e) => {
         e.preventDefault();
         setDrag(false);
-        !disabled && handleFiles(e.dataTransfer.files || []);
+        !inactive && handleFiles(e.dataTransfer.files || []);
       }}
       className={cn(
         "flex cursor-pointer flex-col items-center justify-center gap-3 rounded-2xl border-2 border-dashed p-8 text-center transition-all duration-300",
-        disabled
+        inactive
           ? "border-slate-200 bg-slate-50 cursor-not-allowed opacity-60"
           : drag
           ? "border-violet-400 bg-violet-50 scale-105"
@@ -254,20 +455,29 @@ const DropZone = ({ label, multiple = false, onFiles, hint, disabled }) => {
       role="button"
       aria-label={label}
       tabIndex={0}
-      whileHover={!disabled ? { scale: 1.02 } : {}}
-      whileTap={!disabled ? { scale: 0.98 } : {}}
+      whileHover={!inactive ? { scale: 1.02 } : {}}
+      whileTap={!inactive ? { scale: 0.98 } : {}}
     >
       <div className={cn(
         "rounded-full p-3 transition-colors",
         drag ? "bg-violet-100" : "bg-slate-200"
       )}>
-        <IconUpload className={cn("h-6 w-6", drag ? "text-violet-600" : "text-slate-500")} />
+        {processing > 0
+          ? <Loader2 className="h-6 w-6 animate-spin text-slate-500" />
+          : <IconUpload className={cn("h-6 w-6", drag ? "text-violet-600" : "text-slate-500")} />}
       </div>
       <div className="space-y-1">
         <div className="font-medium text-slate-800">{label}</div>
         <div className="text-xs text-slate-500">
           {hint || (multiple ? "Drag & drop or click to add images" : "Drag & drop or click to choose an image")}
         </div>
+        {processing > 0 ? (
+          <div className="text-xs text-violet-600">Optimizing {processing} image{processing > 1 ? "s" : ""}…</div>
+        ) : summary && (
+          <div className="text-xs text-emerald-700">
+            {summary.count} image{summary.count > 1 ? "s" : ""}: {formatBytes(summary.before)} → {formatBytes(summary.after)}
+          </div>
+        )}
       </div>
       <input
         type="file"
@@ -278,180 +488,2856 @@ const DropZone = ({ label, multiple = false, onFiles, hint, disabled }) => {
           handleFiles(e.target.files || []);
           e.target.value = "";
         }}
-        disabled={disabled}
+        disabled={inactive}
         hidden
       />
     </motion.div>
   );
 };
 
-export default function App() {
-  const [tab, setTab] = useLocalStorage("tab", "catalog");
-  const defaultApi = typeof window !== "undefined" && window.location && (window.location.port === "8000" || window.location.hostname === "127.0.0.1")
-    ? `${window.location.protocol}//${window.location.host}`
-    : "http://127.0.0.1:8000";
-  const [apiBase, setApiBase] = useLocalStorage("apiBase", defaultApi);
-
-  const { push, ToastHost } = useToasts();
-
-  // Health check
-  const [health, setHealth] = useState({ ok: false, loading: true, msg: "" });
-  const fetchHealth = useCallback(async () => {
-    setHealth((h) => ({ ...h, loading: true }));
-    try {
-      const r = await fetch(`${apiBase}/health`);
-      const j = await r.json();
-      if (j.engine_loaded) setHealth({ ok: true, loading: false, msg: `Device: ${j.device} • Catalog: ${j.catalog_size}` });
-      else setHealth({ ok: false, loading: false, msg: j.error ? `Backend not ready: ${j.error}` : "Backend not ready." });
-    } catch (e) {
-      setHealth({ ok: false, loading: false, msg: "Cannot reach API. Check URL or start backend." });
-    }
-  }, [apiBase]);
-  
-  useEffect(() => {
-    fetchHealth();
-  }, [fetchHealth]);
-
-  // State
-  const [anchorFile, setAnchorFile] = useState(null);
-  const [allowTypesRaw, setAllowTypesRaw] = useLocalStorage("allowTypes", BUCKETS);
-  const allowTypesSet = useMemo(() => new Set(Array.isArray(allowTypesRaw) ? allowTypesRaw : BUCKETS), [allowTypesRaw]);
-  const [colorMode, setColorMode] = useLocalStorage("colorMode", "auto");
-  const [perBucket, setPerBucket] = useLocalStorage("perBucket", 5);
-  const [topk, setTopk] = useLocalStorage("topk", 20);
-  const [weatherHint, setWeatherHint] = useLocalStorage("weatherHint", "mild");
-  const [autoWeather, setAutoWeather] = useLocalStorage("autoWeather", true);
-  const [coords, setCoords] = useLocalStorage("coords", null); // {lat, lon}
-  const [liveWeather, setLiveWeather] = useLocalStorage("liveWeather", null); // {temp_c, precip_mm, wind_kph, code, hint}
-  const [weatherAnalytics, setWeatherAnalytics] = useState(null);
-  const [weatherTrends, setWeatherTrends] = useState(null);
-  const [weatherError, setWeatherError] = useState("");
-  const [colorWeight, setColorWeight] = useLocalStorage("colorWeight", 0.15);
-  const [styleWeight, setStyleWeight] = useLocalStorage("styleWeight", 0.1);
-  const [diversityWeight, setDiversityWeight] = useLocalStorage("diversityWeight", 0.05);
-  const [density, setDensity] = useLocalStorage("density", "comfortable");
-  // Files cannot be persisted to localStorage; keep wardrobe in memory only
-const [wardrobe, setWardrobe] = useState({ tops: [], bottoms: [], outerwear: [], footwear: [] });
-
-// (one-time safety: purge any old persisted wardrobe)
-useEffect(() => {
-  try { localStorage.removeItem("wardrobe"); } catch {}
-}, []);
+// Item names (or "Top 2"-style fallbacks) and colours for an outfit's parts
+const PartNames = ({ parts, itemsById }) => (
+  <div className="mt-3 flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-600">
+    {parts.map((part, i) => {
+      const item = itemsById.get(part.itemId);
+      return (
+        <span key={i} className="inline-flex items-center gap-1">
+          {item?.meta?.color && <span className="h-2.5 w-2.5 rounded-full border border-white shadow-sm" style={{ background: item.meta.color }} />}
+          {item ? itemLabel(item, part.slot, part.idx ?? i) : <span className="text-slate-400">Removed {part.slot}</span>}
+        </span>
+      );
+    })}
+  </div>
+);
 
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [catalogResults, setCatalogResults] = useState(null);
-  const [wardrobeResults, setWardrobeResults] = useState(null);
+const PresetPicker = ({ presets, active, disabled, onApply, onSave, onDelete, onExport, onImport }) => {
+  const fileRef = useRef(null);
+  const iconButton = "rounded-lg p-1.5 text-slate-400 hover:bg-slate-100 hover:text-slate-600 transition-colors disabled:opacity-40";
 
-  const allowTypesString = useMemo(() => Array.from(allowTypesSet).join(","), [allowTypesSet]);
-  const totalWardrobeItems = useMemo(() => BUCKETS.reduce((acc, b) => acc + (wardrobe[b]?.length || 0), 0), [wardrobe]);
+  return (
+    <div>
+      <label className="mb-1 block text-xs font-medium text-slate-600">Preset</label>
+      <div className="flex items-center gap-1">
+        <select
+          value={active?.id || ""}
+          onChange={(e) => {
+            const preset = presets.find((p) => p.id === e.target.value);
+            if (preset) onApply(preset);
+          }}
+          className="min-w-0 flex-1 rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+          disabled={disabled}
+        >
+          <option value="" disabled>Custom</option>
+          <optgroup label="Built-in">
+            {presets.filter((p) => p.builtin).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </optgroup>
+          {presets.some((p) => !p.builtin) && (
+            <optgroup label="Yours">
+              {presets.filter((p) => !p.builtin).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+        <button onClick={onSave} disabled={disabled} className={iconButton} title="Save current settings as a preset">
+          <Bookmark className="h-4 w-4" />
+        </button>
+        {active && !active.builtin && (
+          <button onClick={() => onDelete(active)} disabled={disabled} className={iconButton} title="Delete this preset">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      <div className="mt-1.5 flex items-center gap-3 text-xs">
+        <button onClick={onExport} disabled={!presets.some((p) => !p.builtin)} className="inline-flex items-center gap-1 text-slate-500 hover:text-slate-700 disabled:opacity-40">
+          <Download className="h-3 w-3" /> Export
+        </button>
+        <button onClick={() => fileRef.current?.click()} className="inline-flex items-center gap-1 text-slate-500 hover:text-slate-700">
+          <FileUp className="h-3 w-3" /> Import
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+    </div>
+  );
+};
 
-  // Helpers
-  const toggleAllowType = useCallback((type) => {
-    setAllowTypesRaw(prev => {
-      const base = Array.isArray(prev) ? prev.slice() : BUCKETS.slice();
-      const i = base.indexOf(type);
-      if (i >= 0) base.splice(i, 1);
-      else base.push(type);
-      return base;
-    });
-  }, [setAllowTypesRaw]);
+const VoteButtons = ({ vote, onVote }) => (
+  <div className="flex items-center">
+    <button
+      onClick={() => onVote(1)}
+      aria-pressed={vote === 1}
+      className={cn("rounded-full p-1.5 transition-colors", vote === 1 ? "bg-emerald-50 text-emerald-600" : "text-slate-400 hover:bg-emerald-50 hover:text-emerald-600")}
+      title={vote === 1 ? "Clear like" : "More like this"}
+    >
+      <ThumbsUp className={cn("h-4 w-4", vote === 1 && "fill-emerald-200")} />
+    </button>
+    <button
+      onClick={() => onVote(-1)}
+      aria-pressed={vote === -1}
+      className={cn("rounded-full p-1.5 transition-colors", vote === -1 ? "bg-rose-50 text-rose-500" : "text-slate-400 hover:bg-rose-50 hover:text-rose-500")}
+      title={vote === -1 ? "Clear dislike" : "Less like this"}
+    >
+      <ThumbsDown className={cn("h-4 w-4", vote === -1 && "fill-rose-200")} />
+    </button>
+  </div>
+);
 
-  const handleAnchorFiles = useCallback((files) => {
-    files?.length && setAnchorFile(files[0]);
-  }, []);
+// Shown when local feedback moved a result up or down
+const PreferenceTag = ({ shift }) => shift ? (
+  <span
+    className={cn("rounded-full px-2 py-0.5 text-[10px]", shift > 0 ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-600")}
+    title="Re-ranked from your feedback"
+  >
+    {shift > 0 ? "Boosted" : "Demoted"}
+  </span>
+) : null;
 
-  const handleAddWardrobe = useCallback((bucket, files) => {
-    setWardrobe((prev) => ({ ...prev, [bucket]: [...(prev[bucket] || []), ...files.slice(0, 8)] }));
-  }, [setWardrobe]);
+const CompareToggle = ({ active, onClick, disabled }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled && !active}
+    aria-pressed={active}
+    className={cn(
+      "rounded-full p-1.5 transition-colors disabled:opacity-40",
+      active ? "bg-violet-100 text-violet-600" : "text-slate-400 hover:bg-violet-50 hover:text-violet-600"
+    )}
+    title={active ? "Remove from comparison" : disabled ? `Compare up to ${MAX_COMPARE}` : "Add to comparison"}
+  >
+    <Columns2 className="h-4 w-4" />
+  </button>
+);
 
-  const handleRemoveWardrobe = useCallback((bucket, index) => {
-    setWardrobe((prev) => ({ ...prev, [bucket]: (prev[bucket] || []).filter((_, i) => i !== index) }));
-  }, [setWardrobe]);
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
 
-  // API calls
+// Annular sector from angle a0 to a1 (degrees, 0 at the top)
+const ringSector = (c, r0, r1, a0, a1) => {
+  const pt = (r, a) => [c + r * Math.sin((a * Math.PI) / 180), c - r * Math.cos((a * Math.PI) / 180)];
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = [pt(r1, a0), pt(r1, a1), pt(r0, a1), pt(r0, a0)];
+  return `M${x0} ${y0}A${r1} ${r1} 0 0 1 ${x1} ${y1}L${x2} ${y2}A${r0} ${r0} 0 0 0 ${x3} ${y3}Z`;
+};
 
-  // ---- Live Weather (frontend) ----
-  const getBrowserLocation = useCallback(() => {
-    return new Promise((resolve, reject) => {
-      if (!("geolocation" in navigator)) return reject(new Error("Geolocation not available"));
-      const opts = { enableHighAccuracy: false, timeout: 8000, maximumAge: 600000 };
-      navigator.geolocation.getCurrentPosition(
-        (pos) => resolve({ lat: Number(pos.coords.latitude.toFixed(4)), lon: Number(pos.coords.longitude.toFixed(4)) }),
-        (err) => reject(new Error(err?.message || "Location permission denied")),
-        opts
-      );
-    });
-  }, []);
+// Painters' colour wheel with one marker per colour: angle is hue, distance from
+// the centre is saturation; neutrals sit in the middle. `links` are index pairs
+// to connect (every pair by default); clashing pairs are drawn dashed in red.
+const HarmonyWheel = ({ points, clashes = [], links, size = 160 }) => {
+  const c = size / 2;
+  const ring = c - 2;
+  const plot = ring - 16;
+  const clashKeys = new Set(clashes.map(({ a, b }) => `${a}-${b}`));
+  const neutrals = points.filter((p) => p.neutral);
+  const pos = points.map((p) => {
+    const angle = p.neutral ? (neutrals.indexOf(p) * 360) / neutrals.length : p.hue;
+    const r = p.neutral ? (neutrals.length > 1 ? plot * 0.15 : 0) : plot * (0.35 + 0.65 * p.sat);
+    return [c + r * Math.sin((angle * Math.PI) / 180), c - r * Math.cos((angle * Math.PI) / 180)];
+  });
+  const pairs = links || points.flatMap((_, a) => points.slice(a + 1).map((__, i) => [a, a + 1 + i]));
 
-  const fetchLiveWeather = useCallback(async (loc, includeAnalytics = false) => {
-    const key = `wx:${loc.lat.toFixed(2)},${loc.lon.toFixed(2)}`;
-    try {
-      const cached = JSON.parse(sessionStorage.getItem(key) || "null");
-      if (cached && Date.now() - cached.ts < 10 * 60 * 1000 && !includeAnalytics) {
-        return { weather: cached.data, analytics: cached.analytics || null };
-      }
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} className="flex-shrink-0" role="img" aria-label="Colour wheel">
+      {Array.from({ length: 36 }, (_, i) => (
+        <path key={i} d={ringSector(c, ring - 8, ring, i * 10, i * 10 + 10.5)} fill={`hsl(${rgbHueFromRyb(i * 10 + 5)}, 75%, 55%)`} />
+      ))}
+      <circle cx={c} cy={c} r={plot} fill="#f8fafc" stroke="#e2e8f0" />
+      {pairs.map(([a, b]) => {
+        const clash = clashKeys.has(`${a}-${b}`) || clashKeys.has(`${b}-${a}`);
+        return (
+          <line
+            key={`${a}-${b}`}
+            x1={pos[a][0]} y1={pos[a][1]} x2={pos[b][0]} y2={pos[b][1]}
+            stroke={clash ? "#e11d48" : "#cbd5e1"}
+            strokeWidth={clash ? 2 : 1}
+            strokeDasharray={clash ? "4 3" : undefined}
+          />
+        );
+      })}
+      {points.map((p, i) => (
+        <circle
+          key={i}
+          cx={pos[i][0]}
+          cy={pos[i][1]}
+          r={p.anchor ? 7 : 5}
+          fill={p.hex}
+          stroke={p.anchor ? "#7c3aed" : "#fff"}
+          strokeWidth={p.anchor ? 2.5 : 2}
+        >
+          <title>{`${p.label} · ${p.hex}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
 
-      const ctrl = new AbortController();
-      const to = setTimeout(() => ctrl.abort(), 9000);
-      
-      // Fetch current weather
-      const r = await fetch(`${apiBase}/weather?lat=${loc.lat}&lon=${loc.lon}`, { signal: ctrl.signal });
-      clearTimeout(to);
-      if (!r.ok) {
-        const body = await r.text();
-        let msg = body;
-        try { msg = JSON.parse(body).detail || body; } catch {}
-        throw new Error(`Weather API: ${msg}`);
-      }
-      const weatherData = await r.json();
-      
-      // Fetch analytics if requested
-      let analytics = null;
-      if (includeAnalytics) {
-        try {
-          const analyticsResponse = await fetch(`${apiBase}/weather/analytics?lat=${loc.lat}&lon=${loc.lon}`, { signal: ctrl.signal });
-          if (analyticsResponse.ok) {
-            analytics = await analyticsResponse.json();
-          }
-        } catch (e) {
-          console.warn("Weather analytics fetch failed:", e);
-        }
-      }
-      
-      sessionStorage.setItem(key, JSON.stringify({ ts: Date.now(), data: weatherData, analytics }));
-      return { weather: weatherData, analytics };
-    } catch (e) {
-      throw new Error(e.message || "Weather fetch failed");
-    }
-  }, [apiBase]);
+// Collapsible wheel + legend; `summary` is the headline relationship
+const HarmonyPanel = ({ points, clashes, links, summary, children }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="rounded-xl border border-slate-200 text-[11px] text-slate-600">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="flex w-full items-center justify-between px-3 py-2 text-xs font-medium text-slate-700 hover:bg-slate-50 rounded-xl"
+        aria-expanded={open}
+      >
+        <span className="inline-flex items-center gap-1.5">
+          <Palette className="h-3.5 w-3.5 text-slate-400" /> Colour harmony
+        </span>
+        <span className="inline-flex items-center gap-2">
+          <span className="inline-flex -space-x-1">
+            {points.slice(0, 6).map((p, i) => (
+              <span key={i} className="h-3 w-3 rounded-full border border-white" style={{ background: p.hex }} />
+            ))}
+          </span>
+          {summary && <span className="rounded-full bg-violet-50 px-2 py-0.5 text-[10px] text-violet-700">{summary}</span>}
+          {clashes.length > 0 && (
+            <span className="rounded-full bg-rose-50 px-2 py-0.5 text-[10px] text-rose-600">
+              {clashes.length} {clashes.length === 1 ? "clash" : "clashes"}
+            </span>
+          )}
+          <ChevronDown className={cn("h-3.5 w-3.5 transition-transform", open && "rotate-180")} />
+        </span>
+      </button>
+      {open && (
+        <div className="flex flex-wrap items-start gap-4 border-t border-slate-100 px-3 py-3">
+          <HarmonyWheel points={points} clashes={clashes} links={links} />
+          <div className="min-w-[140px] flex-1 space-y-3">
+            {children}
+            {clashes.length > 0 && (
+              <div>
+                <div className="mb-1 font-medium text-slate-700">Clashing pairs</div>
+                <ul className="space-y-0.5">
+                  {clashes.map(({ a, b, reason }) => (
+                    <li key={`${a}-${b}`} className="flex items-center gap-1.5 text-rose-600">
+                      <AlertCircle className="h-3 w-3 flex-shrink-0" />
+                      {points[a].label} + {points[b].label}: {reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <ul className="space-y-0.5">
+              {points.map((p, i) => (
+                <li key={i} className="flex items-center gap-1.5">
+                  <span className={cn("h-2.5 w-2.5 flex-shrink-0 rounded-full", p.anchor ? "ring-2 ring-violet-500" : "ring-1 ring-slate-200")} style={{ background: p.hex }} />
+                  <span className="truncate">{p.label}</span>
+                  <span className="ml-auto text-slate-400">{p.neutral ? "neutral" : p.family}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
 
-  // Auto fetch on toggle / health change
+// Dominant colour per image URL, filled in as palettes are extracted
+const useImageColors = (urls, mode) => {
+  const [colors, setColors] = useState(() => new Map()); // `${mode}:${url}` -> hex
+  const key = urls.join("\n");
   useEffect(() => {
+    let cancelled = false;
     (async () => {
-      if (!autoWeather || !health.ok) return;
-      try {
-        const loc = coords || await getBrowserLocation();
-        if (!coords) setCoords(loc);
-        const result = await fetchLiveWeather(loc, true);
-        const wx = result.weather || result; // Handle both new and old response formats
-        setLiveWeather(wx);
-        if (result.analytics) {
-          setWeatherAnalytics(result.analytics);
+      for (const url of key ? key.split("\n") : []) {
+        try {
+          const swatches = await urlPalette(url, mode);
+          if (cancelled) return;
+          if (swatches[0]) setColors((prev) => (prev.has(`${mode}:${url}`) ? prev : new Map(prev).set(`${mode}:${url}`, swatches[0].hex)));
+        } catch (e) {
+          console.warn("Couldn't read colours of", url, e);
         }
-        setWeatherError("");
-        // Use enhanced hint if available
-        const hint = wx.hint || "mild";
-        if (!weatherHint || weatherHint === "mild") setWeatherHint(hint);
-      } catch (e) {
-        setWeatherError(String(e.message || e));
       }
     })();
-  }, [autoWeather, apiBase, health.ok]);
+    return () => { cancelled = true; };
+  }, [key, mode]);
+  return useCallback((url) => colors.get(`${mode}:${url}`) || null, [colors, mode]);
+};
+
+const CatalogItemCard = ({ item, idx, density, src, compared, compareFull, onToggleCompare, vote, onVote, anchorColors, harmony }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    transition={{ delay: Math.min(idx, 12) * 0.05 }}
+  >
+    <Card className={cn("p-4 group", compared && "ring-2 ring-violet-300")} hover>
+      <div className={cn("overflow-hidden rounded-2xl", density === "compact" ? "aspect-square" : "aspect-[4/3]")}>
+        <ProgressiveImg
+          src={src}
+          alt={item.title || item.category}
+          className="h-full w-full rounded-2xl group-hover:scale-110 transition-transform duration-500"
+        />
+      </div>
+      <div className="mt-4 space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="truncate pr-2 font-medium text-slate-900">{item.title || humanize(item.category)}</div>
+          <div className="flex items-center gap-1">
+            <Tag color="violet">{humanize(itemBucket(item))}</Tag>
+            <CompareToggle active={compared} disabled={compareFull} onClick={onToggleCompare} />
+          </div>
+        </div>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-1 text-xs text-slate-500">
+            <Star className="h-3 w-3 fill-amber-400 text-amber-400" />
+            <span>{item.score?.toFixed?.(3)}</span>
+            <span className="ml-1"><PreferenceTag shift={item.preference} /></span>
+            {harmony && (
+              <span
+                className={cn("rounded-full px-2 py-0.5 text-[10px]", harmony.clash ? "bg-rose-50 text-rose-600" : "bg-violet-50 text-violet-700")}
+                title={harmony.clash ? `Clashes with the anchor: ${harmony.clash}` : HARMONIES[harmony.scheme].description}
+              >
+                {harmony.clash ? "Clash" : HARMONIES[harmony.scheme].label}
+              </span>
+            )}
+          </div>
+          <VoteButtons vote={vote} onVote={onVote} />
+        </div>
+        {item.contributions && (
+          <div className="flex flex-wrap gap-2 text-[10px] text-slate-500" title="Score against each anchor">
+            {item.contributions.map((c, i) => (
+              <span key={i} className={cn("inline-flex items-center gap-1 rounded-full bg-slate-50 px-1.5 py-0.5", c == null && "opacity-50")}>
+                <span className="h-2 w-2 rounded-full border border-slate-200" style={{ background: anchorColors[i] || "#e2e8f0" }} />
+                #{i + 1} {c == null ? "—" : c.toFixed(2)}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </Card>
+  </motion.div>
+);
+
+const HARMONY_PREVIEW_LIMIT = 24; // catalog results whose colours are read for the harmony view
+
+const CatalogResults = ({ results, density, view, onViewChange, getPreviewUrl, anchors, compareSelected, onToggleCompare, votes, onVote, paletteMode }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const items = useMemo(() => results?.items || [], [results]);
+  const counts = useMemo(() => bucketCounts(items), [items]);
+  const range = useMemo(() => scoreRange(items), [items]);
+  const visible = useMemo(() => sortItems(filterItems(items, filters), view.sort), [items, filters, view.sort]);
+  const setFilter = (patch) => setFilters((f) => ({ ...f, ...patch }));
+  const toggleBucket = (b) => setFilter({ buckets: filters.buckets.includes(b) ? filters.buckets.filter((x) => x !== b) : [...filters.buckets, b] });
+  const filtered = filters.buckets.length > 0 || filters.minScore > 0 || filters.query.trim() !== "";
+  const anchorColors = useMemo(() => results?.anchor_colors || [results?.anchor_color || null], [results]);
+  // Anchors added or removed since the run no longer line up with the response
+  const anchorInfo = anchors.length === anchorColors.length ? anchors : [];
+
+  // Each result's dominant colour against the anchor colour(s)
+  const harmonyUrls = useMemo(
+    () => visible.slice(0, HARMONY_PREVIEW_LIMIT).map((item) => getPreviewUrl(item)),
+    [visible, getPreviewUrl]
+  );
+  const colorOfUrl = useImageColors(harmonyUrls, paletteMode);
+  const anchorPoints = useMemo(
+    () => anchorColors.flatMap((hex, i) => (HEX_COLOR.test(hex || "") ? [colorPoint(hex, anchorColors.length > 1 ? `Anchor #${i + 1}` : "Anchor", { anchor: true })] : [])),
+    [anchorColors]
+  );
+  const harmonyByItem = useMemo(() => {
+    const map = new Map();
+    if (!anchorPoints.length) return map;
+    visible.slice(0, HARMONY_PREVIEW_LIMIT).forEach((item) => {
+      const hex = colorOfUrl(getPreviewUrl(item));
+      if (!hex) return;
+      const point = colorPoint(hex, item.title || humanize(item.category || itemBucket(item)));
+      const { scheme, clashes } = analyzeHarmony([...anchorPoints, point]);
+      const clash = clashes.find((c) => c.b === anchorPoints.length);
+      map.set(item, { point, scheme, clash: clash?.reason || null });
+    });
+    return map;
+  }, [visible, anchorPoints, colorOfUrl, getPreviewUrl]);
+
+  if (!items.length) return <div className="text-sm text-slate-500">No recommendations found</div>;
+
+  const gridClass = cn("grid gap-6", density === "compact" ? "grid-cols-2 md:grid-cols-3 lg:grid-cols-4" : "grid-cols-1 sm:grid-cols-2 lg:grid-cols-3");
+  // Comparison selection refers to positions in the unfiltered response
+  const renderCard = (item, idx) => {
+    const pos = items.indexOf(item);
+    return (
+      <CatalogItemCard
+        key={`${item.item_id}-${pos}`}
+        item={item}
+        idx={idx}
+        density={density}
+        src={getPreviewUrl(item)}
+        compared={compareSelected.includes(pos)}
+        compareFull={compareSelected.length >= MAX_COMPARE}
+        onToggleCompare={() => onToggleCompare(pos)}
+        vote={votes.get(feedbackKey("catalog", item))}
+        onVote={(v) => onVote(item, v)}
+        anchorColors={anchorColors}
+        harmony={harmonyByItem.get(item)}
+      />
+    );
+  };
+  const step = Math.max(0.001, Math.round(((range.max - range.min) / 50) * 1000) / 1000);
+
+  const related = [...harmonyByItem.values()];
+  const wheelPoints = [...anchorPoints, ...related.map((h) => h.point)];
+  const schemeCounts = related.reduce((m, h) => m.set(h.scheme, (m.get(h.scheme) || 0) + 1), new Map());
+  const topScheme = [...schemeCounts].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  return (
+    <div className="space-y-6">
+      {(anchorColors.some(Boolean) || anchorInfo.some((a) => a.owned)) && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-wrap items-center gap-4 rounded-2xl border border-violet-200 bg-violet-50/50 p-4"
+        >
+          <Palette className="h-5 w-5 text-violet-600" />
+          {anchorColors.map((color, i) => (
+            <div key={i} className="flex items-center gap-2 text-sm text-violet-800">
+              {(anchorColors.length > 1 || anchorInfo[i]?.owned) && anchorInfo[i] && (
+                <FileImage file={anchorInfo[i].file} alt={anchorInfo[i].label} className="h-10 w-10 flex-shrink-0 rounded-lg" />
+              )}
+              <div>
+                {anchorInfo[i]?.owned && <div>Matches for your <span className="font-semibold">{anchorInfo[i].label}</span></div>}
+                {color ? (
+                  <div className="flex items-center gap-2">
+                    <span className="inline-flex h-5 w-5 rounded-full border-2 border-white shadow-sm" style={{ background: color }} />
+                    <span>{anchorColors.length > 1 ? `#${i + 1}` : "Detected color"}: <span className="font-semibold">{color}</span></span>
+                  </div>
+                ) : (
+                  <div className="text-xs text-violet-600">No colour detected</div>
+                )}
+              </div>
+            </div>
+          ))}
+          {results.items[0]?.contributions && (
+            <span className="ml-auto text-xs text-violet-700">Scores are averaged across {anchorColors.length} anchors</span>
+          )}
+        </motion.div>
+      )}
+
+      {related.length > 0 && (
+        <HarmonyPanel
+          points={wheelPoints}
+          links={anchorPoints.flatMap((_, a) => related.map((__, i) => [a, anchorPoints.length + i]))}
+          clashes={related.flatMap((h, i) => anchorPoints
+            .map((anchor, a) => ({ a, b: anchorPoints.length + i, reason: analyzeHarmony([anchor, h.point]).clashes[0]?.reason }))
+            .filter((c) => c.reason))}
+          summary={topScheme && `Mostly ${HARMONIES[topScheme].label.toLowerCase()}`}
+        >
+          <div className="flex flex-wrap gap-1.5">
+            {[...schemeCounts].map(([scheme, n]) => (
+              <span key={scheme} className="rounded-full bg-slate-100 px-2 py-0.5" title={HARMONIES[scheme].description}>
+                {HARMONIES[scheme].label} · {n}
+              </span>
+            ))}
+          </div>
+          <p className="text-slate-500">Relationship of the top {related.length} results to the anchor {anchorPoints.length > 1 ? "colours" : "colour"}.</p>
+        </HarmonyPanel>
+      )}
+
+      <div className="space-y-3 rounded-2xl border border-slate-200 p-4">
+        <div className="flex flex-wrap items-center gap-2">
+          {[...counts].map(([bucket, n]) => (
+            <button
+              key={bucket}
+              onClick={() => toggleBucket(bucket)}
+              aria-pressed={filters.buckets.includes(bucket)}
+              className={cn(
+                "rounded-full px-3 py-1 text-xs font-medium transition-colors",
+                filters.buckets.includes(bucket) ? "bg-violet-600 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+              )}
+            >
+              {humanize(bucket)} · {n}
+            </button>
+          ))}
+          <div className="relative ml-auto">
+            <Search className="absolute left-2.5 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-slate-400" />
+            <input
+              type="search"
+              value={filters.query}
+              onChange={(e) => setFilter({ query: e.target.value })}
+              placeholder="Search titles"
+              className="w-44 rounded-lg border border-slate-200 py-1.5 pl-8 pr-2 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+            />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="min-w-[180px] flex-1">
+            <label className="mb-1 block text-xs text-slate-500">Minimum score: {filters.minScore.toFixed(3)}</label>
+            <input
+              type="range"
+              min={0}
+              max={range.max}
+              step={step}
+              value={Math.min(filters.minScore, range.max)}
+              onChange={(e) => setFilter({ minScore: Number(e.target.value) })}
+              className="w-full accent-violet-600"
+            />
+          </div>
+          <select
+            value={view.sort}
+            onChange={(e) => onViewChange({ ...view, sort: e.target.value })}
+            className="rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+          >
+            {CATALOG_SORTS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          <button
+            onClick={() => onViewChange({ ...view, groupByBucket: !view.groupByBucket })}
+            aria-pressed={view.groupByBucket}
+            className={cn(
+              "inline-flex items-center gap-1.5 rounded-lg border px-2.5 py-1.5 text-xs font-medium transition-colors",
+              view.groupByBucket ? "border-violet-300 bg-violet-50 text-violet-700" : "border-slate-200 text-slate-600 hover:bg-slate-50"
+            )}
+          >
+            <Layers className="h-3.5 w-3.5" /> Group by bucket
+          </button>
+        </div>
+        <div className="flex items-center justify-between text-xs text-slate-500">
+          <span>Showing {visible.length} of {items.length}</span>
+          {filtered && (
+            <button onClick={() => setFilters(EMPTY_FILTERS)} className="font-medium text-violet-600 hover:text-violet-700">
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!visible.length ? (
+        <div className="text-sm text-slate-500">No items match these filters</div>
+      ) : view.groupByBucket ? (
+        groupByBucket(visible, BUCKETS).map((group) => (
+          <section key={group.bucket} className="space-y-3">
+            <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-900">
+              {humanize(group.bucket)} <span className="font-normal text-slate-400">{group.items.length}</span>
+            </h3>
+            <div className={gridClass}>
+              {group.items.map(renderCard)}
+            </div>
+          </section>
+        ))
+      ) : (
+        <div className={gridClass}>
+          {visible.map(renderCard)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const OutfitExplain = ({ combo }) => {
+  const [open, setOpen] = useState(false);
+  const { components, rulesReported, violations, weather } = useMemo(() => explainCombo(combo), [combo]);
+
+  return (
+    <div className="rounded-xl border border-slate-200 text-[11px] text-slate-600">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="flex w-full items-center justify-between px-3 py-2 text-xs font-medium text-slate-700 hover:bg-slate-50 rounded-xl"
+        aria-expanded={open}
+      >
+        <span className="inline-flex items-center gap-1.5">
+          <Info className="h-3.5 w-3.5 text-slate-400" /> Why this outfit
+        </span>
+        <span className="inline-flex items-center gap-2">
+          {violations.length > 0 && (
+            <span className="rounded-full bg-rose-50 px-2 py-0.5 text-[10px] text-rose-600">
+              {violations.length} rule {violations.length === 1 ? "note" : "notes"}
+            </span>
+          )}
+          <ChevronDown className={cn("h-3.5 w-3.5 transition-transform", open && "rotate-180")} />
+        </span>
+      </button>
+      {open && (
+        <div className="space-y-3 border-t border-slate-100 px-3 py-3">
+          <div className="space-y-1.5">
+            {components.map((c) => (
+              <div key={c.key} className="flex items-center gap-2">
+                <span className="w-24 shrink-0">{c.label}</span>
+                <div className="h-1.5 flex-1 rounded-full bg-slate-100">
+                  <div className="h-full rounded-full bg-emerald-400" style={{ width: `${Math.round((c.value ?? 0) * 100)}%` }} />
+                </div>
+                <span className="w-10 text-right tabular-nums">
+                  {c.value == null ? "—" : Math.round(c.value * 100) + "%"}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {rulesReported && (
+            <div>
+              <div className="mb-1 font-medium text-slate-700">Rules broken</div>
+              {violations.length ? (
+                <ul className="space-y-0.5">
+                  {violations.map((v, i) => (
+                    <li key={i} className="flex items-start gap-1.5 text-rose-600">
+                      <AlertCircle className="mt-0.5 h-3 w-3 shrink-0" /> {v}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-emerald-700">None reported</div>
+              )}
+              <div className="mt-1 text-[10px] text-slate-400">The backend reports broken rules only, so passed rules can't be listed.</div>
+            </div>
+          )}
+          {weather.length > 0 && (
+            <div>
+              <div className="mb-1 font-medium text-slate-700">Weather</div>
+              <ul className="list-disc space-y-0.5 pl-4">
+                {weather.map((w, i) => <li key={i}>{w}</li>)}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ComboHarmony = ({ combo, itemsById, colorOf }) => {
+  const points = combo.parts
+    .map((p) => ({ hex: colorOf(p.itemId), label: itemLabel(itemsById.get(p.itemId), p.slot, p.idx) }))
+    .filter((p) => p.hex && HEX_COLOR.test(p.hex))
+    .map((p) => colorPoint(p.hex, p.label));
+  if (points.length < 2) return null;
+  const { scheme, clashes } = analyzeHarmony(points);
+  return (
+    <HarmonyPanel points={points} clashes={clashes} summary={HARMONIES[scheme].label}>
+      <div>
+        <div className="font-medium text-slate-700">{HARMONIES[scheme].label}</div>
+        <div className="text-slate-500">{HARMONIES[scheme].description}</div>
+      </div>
+    </HarmonyPanel>
+  );
+};
+
+const WardrobeResults = ({ results, itemsById, density, savedKeys, onToggleSave, onExport, onFindMatches, compareSelected, onToggleCompare, votes, onVote, colorOf }) => {
+  if (!results || !results.items?.length) {
+    return <div className="text-sm text-slate-500">No outfit combinations found</div>;
+  }
+
+  return (
+    <div className={cn("grid gap-6", density === "compact" ? "grid-cols-2 lg:grid-cols-3" : "grid-cols-1 md:grid-cols-2")}>
+      {results.items.map((combo, index) => {
+        const saved = savedKeys.has(outfitKey(combo.parts));
+        return (
+          <motion.div
+            key={index}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.1 }}
+          >
+            <Card className={cn("p-4 group", compareSelected.includes(index) && "ring-2 ring-violet-300")} hover>
+              <div className="grid grid-cols-2 gap-3">
+                {combo.parts.slice(0, 4).map((part, i) => (
+                  <div key={i} className="group/part relative aspect-square overflow-hidden rounded-2xl">
+                    <FileImage
+                      file={itemsById.get(part.itemId)?.file}
+                      alt={itemLabel(itemsById.get(part.itemId), part.slot, part.idx)}
+                      className="h-full w-full rounded-2xl group-hover:scale-110 transition-transform duration-500"
+                    />
+                    {itemsById.has(part.itemId) && (
+                      <button
+                        onClick={() => onFindMatches(part.itemId)}
+                        className="absolute bottom-2 left-2 inline-flex items-center gap-1 rounded-full bg-white/90 px-2 py-1 text-[10px] font-medium text-violet-700 shadow opacity-0 transition-opacity group-hover/part:opacity-100"
+                        title="Find matches in catalog"
+                      >
+                        <Search className="h-3 w-3" /> Matches
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <PartNames parts={combo.parts} itemsById={itemsById} />
+              <div className="mt-4 space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="font-medium text-slate-900">Outfit #{index + 1}</div>
+                  <div className="flex items-center gap-2">
+                    <Tag color="emerald">{combo.parts.length} items</Tag>
+                    <CompareToggle
+                      active={compareSelected.includes(index)}
+                      disabled={compareSelected.length >= MAX_COMPARE}
+                      onClick={() => onToggleCompare(index)}
+                    />
+                    <button
+                      onClick={() => onExport(combo, index)}
+                      className="rounded-full p-1.5 text-slate-400 hover:bg-slate-100 hover:text-slate-600 transition-colors"
+                      title="Export as image"
+                    >
+                      <Download className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => onToggleSave(combo)}
+                      className={cn(
+                        "rounded-full p-1.5 transition-colors",
+                        saved ? "bg-rose-50 text-rose-500" : "text-slate-400 hover:bg-rose-50 hover:text-rose-500"
+                      )}
+                      aria-pressed={saved}
+                      title={saved ? "Remove from lookbook" : "Save to lookbook"}
+                    >
+                      <Heart className={cn("h-4 w-4", saved && "fill-rose-500")} />
+                    </button>
+                  </div>
+                </div>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-1 text-xs text-slate-500">
+                    <Heart className="h-3 w-3 fill-rose-400 text-rose-400" />
+                    <span>{Math.round((combo.score || 0) * 100)}%</span>
+                    {combo.explain?.wx_hint && (
+                      <span className="ml-2 rounded-full bg-emerald-100 px-2 py-0.5 text-[10px] text-emerald-700">
+                        Season-ready
+                      </span>
+                    )}
+                    <span className="ml-1"><PreferenceTag shift={combo.preference} /></span>
+                  </div>
+                  <VoteButtons vote={votes.get(feedbackKey("combo", combo))} onVote={(v) => onVote(combo, v)} />
+                </div>
+                <ComboHarmony combo={combo} itemsById={itemsById} colorOf={colorOf} />
+                {combo.explain && <OutfitExplain combo={combo} />}
+              </div>
+            </Card>
+          </motion.div>
+        );
+      })}
+    </div>
+  );
+};
+
+const LookbookCard = ({ outfit, itemsById, onUpdate, onDelete }) => {
+  const [note, setNote] = useState(outfit.note || "");
+  const [tagDraft, setTagDraft] = useState("");
+  const missing = outfit.parts.filter((p) => !itemsById.has(p.itemId)).length;
+
+  const addTag = () => {
+    const tag = tagDraft.trim().toLowerCase();
+    setTagDraft("");
+    if (tag && !outfit.tags.includes(tag)) onUpdate({ ...outfit, tags: [...outfit.tags, tag] });
+  };
+
+  return (
+    <Card className="p-4 group">
+      <div className="grid grid-cols-2 gap-3">
+        {outfit.parts.slice(0, 4).map((part, i) => (
+          <div key={i} className="aspect-square overflow-hidden rounded-2xl">
+            <FileImage file={itemsById.get(part.itemId)?.file} alt={itemLabel(itemsById.get(part.itemId), part.slot, i)} className="h-full w-full rounded-2xl" />
+          </div>
+        ))}
+      </div>
+      <PartNames parts={outfit.parts} itemsById={itemsById} />
+      <div className="mt-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-xs text-slate-500">Saved {new Date(outfit.savedAt).toLocaleDateString()}</div>
+          <button
+            onClick={() => onDelete(outfit)}
+            className="rounded-full p-1.5 text-slate-400 hover:bg-red-50 hover:text-red-600 transition-colors"
+            title="Delete outfit"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+          {outfit.score != null && (
+            <span className="inline-flex items-center gap-1">
+              <Heart className="h-3 w-3 fill-rose-400 text-rose-400" />
+              {Math.round(outfit.score * 100)}%
+            </span>
+          )}
+          {outfit.weather && (
+            <span className="inline-flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5">
+              <Cloud className="h-3 w-3" />
+              {outfit.weather.temp_c?.toFixed?.(1) ?? "?"}°C • {outfit.weather.hint || "mild"}
+            </span>
+          )}
+          {missing > 0 && (
+            <span className="text-amber-600">{missing} item{missing > 1 ? "s" : ""} no longer in wardrobe</span>
+          )}
+        </div>
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onBlur={() => note !== outfit.note && onUpdate({ ...outfit, note })}
+          placeholder="Add a note…"
+          rows={2}
+          className="w-full resize-none rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+        />
+        <div className="flex flex-wrap items-center gap-1.5">
+          {outfit.tags.map((tag) => (
+            <span key={tag} className="inline-flex items-center gap-1 rounded-full bg-violet-100 px-2 py-0.5 text-xs text-violet-700">
+              {tag}
+              <button onClick={() => onUpdate({ ...outfit, tags: outfit.tags.filter((t) => t !== tag) })} aria-label={`Remove ${tag}`}>
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+          <input
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addTag()}
+            onBlur={addTag}
+            placeholder="+ tag"
+            className="w-20 rounded-full border border-dashed border-slate-300 px-2 py-0.5 text-xs focus:border-violet-300 focus:outline-none"
+          />
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+const LookbookView = ({ outfits, itemsById, density, onUpdate, onDelete }) => {
+  const [tagFilter, setTagFilter] = useState("");
+  const allTags = useMemo(() => [...new Set(outfits.flatMap((o) => o.tags))].sort(), [outfits]);
+  const visible = tagFilter ? outfits.filter((o) => o.tags.includes(tagFilter)) : outfits;
+
+  if (!outfits.length) {
+    return (
+      <div className="text-center py-12 text-slate-500">
+        Tap the heart on a generated outfit to save it to your lookbook
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {allTags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <TagIcon className="h-4 w-4 text-slate-400" />
+          {["", ...allTags].map((tag) => (
+            <button
+              key={tag || "all"}
+              onClick={() => setTagFilter(tag)}
+              className={cn(
+                "rounded-full px-3 py-1 text-xs font-medium transition-colors",
+                tagFilter === tag ? "bg-violet-600 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+              )}
+            >
+              {tag || "All"}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className={cn("grid gap-6", density === "compact" ? "grid-cols-2 lg:grid-cols-4" : "grid-cols-1 md:grid-cols-2 lg:grid-cols-3")}>
+        {visible.map((outfit) => (
+          <LookbookCard key={outfit.id} outfit={outfit} itemsById={itemsById} onUpdate={onUpdate} onDelete={onDelete} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const PlannerDay = ({ day, index, itemsById, usage, busy, loading, onTogglePin, onRegenerate, onNext, onSwapPart }) => {
+  const date = new Date(`${day.date}T12:00:00`);
+  const wx = day.weather;
+  return (
+    <Card className={cn("flex flex-col p-3", day.pinned && "ring-2 ring-violet-300")}>
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="text-sm font-semibold text-slate-900">{date.toLocaleDateString(undefined, { weekday: "short" })}</div>
+          <div className="text-xs text-slate-500">{date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}</div>
+        </div>
+        <button
+          onClick={() => onTogglePin(index)}
+          className={cn("rounded-full p-1.5 transition-colors", day.pinned ? "bg-violet-100 text-violet-700" : "text-slate-400 hover:bg-slate-100")}
+          title={day.pinned ? "Unpin day" : "Pin day (kept when re-planning)"}
+          aria-pressed={day.pinned}
+          disabled={!day.outfit}
+        >
+          <Pin className="h-3.5 w-3.5" />
+        </button>
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-1 text-[11px] text-slate-600">
+        {wx ? (
+          <>
+            <span className="rounded-full bg-slate-100 px-2 py-0.5">
+              {wx.temp_min != null && wx.temp_max != null
+                ? `${Math.round(wx.temp_min)}–${Math.round(wx.temp_max)}°C`
+                : `${wx.temp_c?.toFixed?.(1) ?? "?"}°C`}
+            </span>
+            <span className="rounded-full bg-slate-100 px-2 py-0.5 capitalize">{wx.hint || "mild"}</span>
+            {wx.rain_likelihood > 30 && <span className="rounded-full bg-blue-50 px-2 py-0.5 text-blue-700">{Math.round(wx.rain_likelihood)}% rain</span>}
+          </>
+        ) : (
+          <span className="text-slate-400">No forecast</span>
+        )}
+        {day.estimated && wx && <span className="text-amber-600" title="No forecast for this day; using current conditions">est.</span>}
+      </div>
+
+      <div className="mt-3 flex-1 space-y-2">
+        {loading ? (
+          <div className="flex h-32 items-center justify-center">
+            <Loader2 className="h-5 w-5 animate-spin text-slate-400" />
+          </div>
+        ) : day.outfit ? (
+          <div className="grid grid-cols-2 gap-2">
+            {day.outfit.parts.map((part, i) => {
+              const uses = usage.get(part.itemId) || 0;
+              return (
+                <button
+                  key={i}
+                  onClick={() => onSwapPart(index, i)}
+                  disabled={busy}
+                  className={cn(
+                    "relative aspect-square overflow-hidden rounded-xl",
+                    uses > MAX_USES_PER_WEEK && "ring-2 ring-amber-400"
+                  )}
+                  title={`${itemLabel(itemsById.get(part.itemId), part.slot, i)} (click to swap)`}
+                >
+                  <FileImage file={itemsById.get(part.itemId)?.file} alt={itemLabel(itemsById.get(part.itemId), part.slot, i)} className="h-full w-full rounded-xl" />
+                  {uses > 1 && (
+                    <span className="absolute bottom-1 right-1 rounded-full bg-white/90 px-1.5 text-[10px] font-medium text-slate-700">×{uses}</span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        ) : day.error ? (
+          <div
+            className="flex h-32 flex-col items-center justify-center gap-1 rounded-xl border border-dashed border-red-200 bg-red-50/50 px-2 text-center text-xs text-red-600"
+            title={day.error}
+          >
+            <AlertCircle className="h-4 w-4" />
+            Couldn't load outfits
+            <span className="text-red-400">Regenerate to retry</span>
+          </div>
+        ) : (
+          <div className="flex h-32 items-center justify-center rounded-xl border border-dashed border-slate-200 text-xs text-slate-400">
+            No outfit
+          </div>
+        )}
+      </div>
+
+      <div className="mt-3 flex items-center justify-between">
+        {day.outfit?.score != null ? (
+          <span className="text-xs text-slate-500">{Math.round(day.outfit.score * 100)}%</span>
+        ) : <span />}
+        <div className="flex gap-1">
+          <button
+            onClick={() => onNext(index)}
+            disabled={busy || (day.alternatives?.length || 0) < 2}
+            className="rounded-full p-1.5 text-slate-500 hover:bg-slate-100 disabled:opacity-40"
+            title="Next alternative"
+          >
+            <Shuffle className="h-3.5 w-3.5" />
+          </button>
+          <button
+            onClick={() => onRegenerate(index)}
+            disabled={busy || day.pinned}
+            className="rounded-full p-1.5 text-slate-500 hover:bg-slate-100 disabled:opacity-40"
+            title="Regenerate this day"
+          >
+            <RefreshCw className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// Saved places first, then cities from the offline gazetteer
+const DestinationPicker = ({ value, places, onChange, disabled }) => {
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const q = query.trim().toLowerCase();
+  const options = [
+    ...places.filter((p) => !q || p.name.toLowerCase().includes(q)).slice(0, 4).map((p) => ({ name: p.name, lat: p.lat, lon: p.lon, hint: "Saved place" })),
+    ...(q ? searchCities(query, 6).map((c) => ({ name: c.name, lat: c.lat, lon: c.lon, hint: c.country })) : []),
+  ];
+
+  return (
+    <div className="relative">
+      <MapPin className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+      <input
+        value={open ? query : value?.name || ""}
+        onChange={(e) => setQuery(e.target.value)}
+        onFocus={() => { setQuery(""); setOpen(true); }}
+        onBlur={() => setOpen(false)}
+        placeholder="Destination city or saved place"
+        disabled={disabled}
+        className="w-full rounded-lg border border-slate-300 py-2 pl-9 pr-3 text-sm focus:ring-2 focus:ring-violet-200 focus:outline-none"
+        aria-label="Destination"
+      />
+      {open && options.length > 0 && (
+        <ul className="absolute z-20 mt-1 max-h-60 w-full overflow-y-auto rounded-lg border border-slate-200 bg-white shadow-lg">
+          {options.map((o, i) => (
+            <li key={i}>
+              <button
+                // mousedown fires before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  onChange({ name: o.name, lat: o.lat, lon: o.lon });
+                  setOpen(false);
+                }}
+                className="flex w-full items-center justify-between px-3 py-2 text-left text-sm hover:bg-violet-50"
+              >
+                <span>{o.name}</span>
+                <span className="text-xs text-slate-400">{o.hint}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const defaultTripDraft = () => {
+  const today = new Date();
+  return {
+    destination: null,
+    start: isoDate(today),
+    end: isoDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 3)),
+    outfitsPerDay: 1,
+  };
+};
+
+const TripPlanner = ({ trip, places, itemsById, busy, progress, blocked, onGenerate, onTogglePacked, onClear }) => {
+  const [draft, setDraft] = useState(() => (trip
+    ? { destination: trip.destination, start: trip.start, end: trip.end, outfitsPerDay: trip.outfitsPerDay }
+    : defaultTripDraft()));
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const problem = validateTrip(draft);
+  const list = useMemo(() => (trip ? packingList(trip.days, BUCKETS) : []), [trip]);
+  const packed = new Set(trip?.packed || []);
+  const total = list.reduce((n, g) => n + g.items.length, 0);
+  const outfitCount = trip ? trip.days.reduce((n, d) => n + d.outfits.length, 0) : 0;
+  const fieldClass = "rounded-lg border border-slate-300 px-3 py-2 text-sm focus:ring-2 focus:ring-violet-200 focus:outline-none";
+  const dayLabel = (iso, opts) => new Date(`${iso}T12:00:00`).toLocaleDateString(undefined, opts);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 items-end gap-3 md:grid-cols-[2fr_1fr_1fr_auto_auto]">
+        <div>
+          <label className="mb-1 block text-xs font-medium text-slate-600">Destination</label>
+          <DestinationPicker value={draft.destination} places={places} onChange={(destination) => set({ destination })} disabled={busy} />
+        </div>
+        <div>
+          <label className="mb-1 block text-xs font-medium text-slate-600">From</label>
+          <input type="date" value={draft.start} min={isoDate(new Date())} onChange={(e) => set({ start: e.target.value })} className={cn(fieldClass, "w-full")} disabled={busy} />
+        </div>
+        <div>
+          <label className="mb-1 block text-xs font-medium text-slate-600">To</label>
+          <input type="date" value={draft.end} min={draft.start} onChange={(e) => set({ end: e.target.value })} className={cn(fieldClass, "w-full")} disabled={busy} />
+        </div>
+        <div>
+          <label className="mb-1 block text-xs font-medium text-slate-600">Outfits per day</label>
+          <select value={draft.outfitsPerDay} onChange={(e) => set({ outfitsPerDay: Number(e.target.value) })} className={fieldClass} disabled={busy}>
+            {Array.from({ length: MAX_OUTFITS_PER_DAY }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+          </select>
+        </div>
+        <Button variant="primary" icon={busy ? Loader2 : Luggage} onClick={() => onGenerate(draft)} disabled={busy || !!problem || !!blocked}>
+          {trip ? "Re-pack" : "Pack for Trip"}
+        </Button>
+      </div>
+      <div className="-mt-3 text-xs text-slate-500">
+        {progress
+          ? `Fetching outfits for ${progress.step + 1} of ${progress.total} kinds of weather…`
+          : blocked ? `${blocked} in My Wardrobe to start packing.`
+          : problem || `Up to ${MAX_TRIP_DAYS} days. Dates within the next ${FORECAST_DAYS} days follow the daily forecast.`}
+      </div>
+
+      {trip ? (
+        <>
+          {trip.days.some((d) => d.estimated) && (
+            <div className="rounded-xl bg-amber-50 px-3 py-2 text-xs text-amber-700">
+              {trip.days.every((d) => d.estimated)
+                ? "No forecast covers these dates, so every day assumes the destination's current conditions and the capsule isn't tailored to changing weather."
+                : "The forecast doesn't reach every day of the trip; days marked (est.) use the destination's current conditions."}
+            </div>
+          )}
+          <div className="print-area space-y-6">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+              <div>
+                <h3 className="text-lg font-semibold text-slate-900">Packing for {trip.destination.name}</h3>
+                <div className="text-sm text-slate-500">
+                  {dayLabel(trip.start, { month: "short", day: "numeric" })} – {dayLabel(trip.end, { month: "short", day: "numeric" })}
+                  {" · "}{trip.days.length} {trip.days.length === 1 ? "day" : "days"} · {outfitCount} outfits · {total} pieces
+                </div>
+              </div>
+              <div className="flex items-center gap-2 print:hidden">
+                <Tag color={packed.size >= total ? "emerald" : "default"}>{list.reduce((n, g) => n + g.items.filter((e) => packed.has(e.itemId)).length, 0)} of {total} packed</Tag>
+                <Button size="sm" variant="secondary" icon={Printer} onClick={() => window.print()}>Print</Button>
+                <Button size="sm" variant="ghost" icon={Trash2} onClick={onClear}>Clear</Button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              {list.map((group) => (
+                <div key={group.bucket} className="rounded-2xl border border-slate-200 p-3">
+                  <div className="mb-2 flex items-center justify-between text-sm font-semibold text-slate-900">
+                    {humanize(group.bucket)}
+                    <span className="font-normal text-slate-500">× {group.items.length}</span>
+                  </div>
+                  <ul className="space-y-2">
+                    {group.items.map(({ itemId, wears }, i) => {
+                      const item = itemsById.get(itemId);
+                      const label = itemLabel(item, group.bucket, i);
+                      return (
+                        <li key={itemId}>
+                          <label className="flex cursor-pointer items-center gap-2 text-sm">
+                            <input
+                              type="checkbox"
+                              checked={packed.has(itemId)}
+                              onChange={() => onTogglePacked(itemId)}
+                              className="h-4 w-4 rounded border-slate-300 accent-violet-600"
+                            />
+                            <FileImage file={item?.file} alt={label} className="h-10 w-10 flex-shrink-0 rounded-lg" />
+                            <span className={cn("min-w-0 flex-1 truncate", packed.has(itemId) && "text-slate-400 line-through")}>
+                              {item ? label : "Removed item"}
+                            </span>
+                            <span className="text-xs text-slate-400">worn {wears}×</span>
+                          </label>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <div className="mb-3 text-sm font-semibold text-slate-900">Schedule</div>
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-4">
+                {trip.days.map((day) => (
+                  <div key={day.date} className="break-inside-avoid rounded-2xl border border-slate-200 p-3">
+                    <div className="flex items-center justify-between">
+                      <div className="text-sm font-semibold text-slate-900">{dayLabel(day.date, { weekday: "short", month: "short", day: "numeric" })}</div>
+                      {day.weather && (
+                        <span className="rounded-full bg-slate-100 px-2 py-0.5 text-[11px] capitalize text-slate-600">
+                          {day.weather.temp_c != null && `${Math.round(day.weather.temp_c)}°C · `}{weatherKey(day)}
+                          {day.estimated && " (est.)"}
+                        </span>
+                      )}
+                    </div>
+                    {day.outfits.length ? day.outfits.map((outfit, n) => (
+                      <div key={n} className="mt-2">
+                        {trip.outfitsPerDay > 1 && <div className="mb-1 text-[11px] text-slate-500">Outfit {n + 1}</div>}
+                        <div className="grid grid-cols-4 gap-1.5">
+                          {outfit.parts.map((part, i) => (
+                            <FileImage
+                              key={i}
+                              file={itemsById.get(part.itemId)?.file}
+                              alt={itemLabel(itemsById.get(part.itemId), part.slot, i)}
+                              className="aspect-square w-full rounded-lg"
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    )) : (
+                      <div className="mt-2 text-xs text-slate-400">No outfit found</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </>
+      ) : (
+        <div className="py-12 text-center text-slate-500">
+          Pick a destination and dates to get a small capsule of pieces and an outfit for every day
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ItemDetailsForm = ({ item, onSave }) => {
+  const [meta, setMeta] = useState(item.meta);
+  const [tagText, setTagText] = useState(item.meta.tags.join(", "));
+  const set = (patch) => setMeta((m) => ({ ...m, ...patch }));
+  const fieldClass = "w-full rounded-lg border border-slate-200 px-3 py-2 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none";
+
+  return (
+    <div className="grid grid-cols-1 gap-6 md:grid-cols-5">
+      <div className="aspect-square overflow-hidden rounded-2xl md:col-span-2">
+        <FileImage file={item.file} alt={meta.name || "Item"} className="h-full w-full rounded-2xl" />
+      </div>
+      <div className="space-y-4 md:col-span-3">
+        <div>
+          <label className="mb-1 block text-xs font-medium text-slate-600">Name</label>
+          <input value={meta.name} onChange={(e) => set({ name: e.target.value })} placeholder="e.g. Navy oxford shirt" className={fieldClass} />
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Primary colour</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={meta.color || "#94a3b8"}
+                onChange={(e) => set({ color: e.target.value })}
+                className="h-9 w-12 cursor-pointer rounded border border-slate-200"
+              />
+              {meta.color ? (
+                <button onClick={() => set({ color: "" })} className="text-xs text-slate-500 hover:text-slate-700">Clear</button>
+              ) : (
+                <span className="text-xs text-slate-400">Not set</span>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Formality</label>
+            <select value={meta.formality} onChange={(e) => set({ formality: e.target.value })} className={fieldClass}>
+              <option value="">—</option>
+              {FORMALITY_LEVELS.map((f) => <option key={f} value={f}>{humanize(f.replace("-", " "))}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Season</label>
+            <select value={meta.season} onChange={(e) => set({ season: e.target.value })} className={fieldClass}>
+              <option value="">—</option>
+              {SEASONS.map((x) => <option key={x} value={x}>{humanize(x.replace("-", " "))}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Warmth</label>
+            <div className="flex gap-1">
+              {WARMTH_LEVELS.map((w) => (
+                <button
+                  key={w}
+                  onClick={() => set({ warmth: meta.warmth === w ? null : w })}
+                  className={cn(
+                    "h-9 flex-1 rounded-lg border text-sm transition-colors",
+                    meta.warmth != null && w <= meta.warmth ? "border-orange-300 bg-orange-100 text-orange-700" : "border-slate-200 text-slate-500 hover:bg-slate-50"
+                  )}
+                  title={`Warmth ${w} of 5`}
+                >
+                  {w}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div>
+          <label className="mb-1 block text-xs font-medium text-slate-600">Tags</label>
+          <input value={tagText} onChange={(e) => setTagText(e.target.value)} placeholder="denim, work, favourite" className={fieldClass} />
+        </div>
+        <Button
+          variant="primary"
+          className="w-full"
+          icon={CheckCircle2}
+          onClick={() => onSave(normalizeMeta({ ...meta, tags: tagText.split(",") }))}
+        >
+          Save Details
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Crop / rotate / background cleanup for a single wardrobe item
+const ItemPhotoEditor = ({ item, onSave }) => {
+  const [edits, setEdits] = useState(DEFAULT_EDITS);
+  const [source, setSource] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
+  const [loadError, setLoadError] = useState("");
+  const canvasRef = useRef(null);
+  const PREVIEW_SIZE = 520;
+
+  useEffect(() => {
+    let bitmap = null;
+    let cancelled = false;
+    setLoadError("");
+    createImageBitmap(item.file, { imageOrientation: "from-image" }).then((b) => {
+      if (cancelled) return b.close();
+      bitmap = b;
+      setSource(b);
+    }).catch((e) => {
+      if (!cancelled) setLoadError(`Couldn't open this photo: ${e.message || e}`);
+    });
+    return () => {
+      cancelled = true;
+      bitmap?.close();
+    };
+  }, [item.file]);
+
+  useEffect(() => {
+    if (!source || !canvasRef.current) return;
+    const out = applyEdits(source, edits, PREVIEW_SIZE);
+    const canvas = canvasRef.current;
+    canvas.width = out.width;
+    canvas.height = out.height;
+    canvas.getContext("2d").drawImage(out, 0, 0);
+  }, [source, edits]);
+
+  const setCrop = (side, value) => setEdits((e) => ({ ...e, crop: { ...e.crop, [side]: value } }));
+  const setBackground = (patch) => setEdits((e) => ({ ...e, background: { ...e.background, ...patch } }));
+  const rotate = (delta) => setEdits((e) => ({ ...e, rotation: (e.rotation + delta + 4) % 4 }));
+
+  // In colour-key mode, clicking the preview samples the colour to remove
+  const pickKey = (e) => {
+    if (edits.background.mode !== "key" || !source) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const plain = applyEdits(source, { ...edits, background: { ...edits.background, mode: "none" } }, PREVIEW_SIZE);
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * plain.width);
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * plain.height);
+    const [r, g, b] = plain.getContext("2d").getImageData(x, y, 1, 1).data;
+    setBackground({ key: rgbToHex(r, g, b) });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveError("");
+    try {
+      onSave(await renderEditedFile(item.file, edits));
+    } catch (e) {
+      setSaveError(String(e.message || e));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sliderClass = "w-full accent-violet-600";
+
+  return (
+    <div className="grid grid-cols-1 gap-6 md:grid-cols-5">
+      <div className="flex min-h-64 items-center justify-center rounded-2xl bg-slate-100 p-3 md:col-span-3">
+        {source ? (
+          <canvas
+            ref={canvasRef}
+            onClick={pickKey}
+            className={cn("max-h-[60vh] max-w-full rounded-xl shadow", edits.background.mode === "key" && "cursor-crosshair")}
+          />
+        ) : loadError ? (
+          <div className="flex flex-col items-center gap-2 text-center text-sm text-red-600">
+            <ImageOff className="h-6 w-6" />
+            {loadError}
+          </div>
+        ) : (
+          <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+        )}
+      </div>
+      <div className="space-y-5 md:col-span-2">
+        <div>
+          <div className="mb-2 text-sm font-medium text-slate-700">Rotate</div>
+          <div className="flex gap-2">
+            <Button size="sm" variant="secondary" icon={RotateCcw} onClick={() => rotate(-1)}>Left</Button>
+            <Button size="sm" variant="secondary" icon={RotateCw} onClick={() => rotate(1)}>Right</Button>
+          </div>
+        </div>
+        <div>
+          <div className="mb-2 flex items-center gap-2 text-sm font-medium text-slate-700">
+            <Crop className="h-4 w-4" /> Crop
+          </div>
+          <div className="grid grid-cols-2 gap-x-3 gap-y-2">
+            {["left", "right", "top", "bottom"].map((side) => (
+              <div key={side}>
+                <label className="mb-1 block text-xs text-slate-500">{humanize(side)}: {Math.round(edits.crop[side] * 100)}%</label>
+                <input
+                  type="range"
+                  min={0}
+                  max={0.45}
+                  step={0.01}
+                  value={edits.crop[side]}
+                  onChange={(e) => setCrop(side, Number(e.target.value))}
+                  className={sliderClass}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-sm font-medium text-slate-700">
+            <Eraser className="h-4 w-4" /> Background
+          </div>
+          <select
+            value={edits.background.mode}
+            onChange={(e) => setBackground({ mode: e.target.value })}
+            className="w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+          >
+            <option value="none">Keep original</option>
+            <option value="flood">Remove from edges (flood fill)</option>
+            <option value="key">Remove a colour (click image to pick)</option>
+          </select>
+          {edits.background.mode !== "none" && (
+            <>
+              <div>
+                <label className="mb-1 block text-xs text-slate-500">Tolerance: {edits.background.tolerance}</label>
+                <input
+                  type="range"
+                  min={1}
+                  max={60}
+                  value={edits.background.tolerance}
+                  onChange={(e) => setBackground({ tolerance: Number(e.target.value) })}
+                  className={sliderClass}
+                />
+              </div>
+              <div className="flex items-center gap-4 text-xs text-slate-600">
+                {edits.background.mode === "key" && (
+                  <label className="flex items-center gap-2">
+                    Remove
+                    <input type="color" value={edits.background.key} onChange={(e) => setBackground({ key: e.target.value })} />
+                  </label>
+                )}
+                <label className="flex items-center gap-2">
+                  Backdrop
+                  <input type="color" value={edits.background.backdrop} onChange={(e) => setBackground({ backdrop: e.target.value })} />
+                </label>
+              </div>
+            </>
+          )}
+        </div>
+        <div className="flex gap-2 pt-2">
+          <Button variant="ghost" onClick={() => setEdits(DEFAULT_EDITS)} disabled={saving}>Reset</Button>
+          <Button variant="primary" className="flex-1" icon={saving ? Loader2 : CheckCircle2} onClick={handleSave} disabled={saving || !source}>
+            {saving ? "Saving..." : "Save Changes"}
+          </Button>
+        </div>
+        {saveError && <div className="text-xs text-red-600">{saveError}</div>}
+      </div>
+    </div>
+  );
+};
+
+const ItemEditor = ({ item, onSave, onSaveMeta, onClose }) => {
+  const [view, setView] = useState("details");
+  return (
+    <Modal title={item.meta.name || "Edit Item"} icon={Pencil} onClose={onClose} wide>
+      <div className="mb-4 inline-flex rounded-2xl bg-slate-100/70 p-1">
+        {[["details", "Details"], ["photo", "Photo"]].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setView(id)}
+            className={cn(
+              "rounded-xl px-4 py-1.5 text-sm font-medium transition-all",
+              view === id ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900"
+            )}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {view === "details" ? <ItemDetailsForm item={item} onSave={onSaveMeta} /> : <ItemPhotoEditor item={item} onSave={onSave} />}
+    </Modal>
+  );
+};
+
+const PlacesDialog = ({ places, activeId, onSelect, onAdd, onRename, onRemove, onClose }) => {
+  const [mode, setMode] = useState("search"); // "search" | "coords"
+  const [name, setName] = useState("");
+  const [query, setQuery] = useState("");
+  const [lat, setLat] = useState("");
+  const [lon, setLon] = useState("");
+  const matches = useMemo(() => searchCities(query), [query]);
+  const parsed = parseCoords(lat, lon);
+  const inputClass = "w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:ring-2 focus:ring-violet-200 focus:outline-none";
+
+  const add = (placeName, loc, source) => {
+    onAdd(name.trim() || placeName, loc, source);
+    setName("");
+    setQuery("");
+    setLat("");
+    setLon("");
+  };
+
+  return (
+    <Modal title="Places" icon={MapPin} onClose={onClose}>
+      <div className="space-y-5 text-sm">
+        {places.length ? (
+          <ul className="space-y-2">
+            {places.map((p) => (
+              <li
+                key={p.id}
+                className={cn("flex items-center gap-3 rounded-xl border p-2.5", p.id === activeId ? "border-violet-300 bg-violet-50/50" : "border-slate-200")}
+              >
+                <input
+                  type="radio"
+                  name="active-place"
+                  checked={p.id === activeId}
+                  onChange={() => onSelect(p.id)}
+                  className="h-4 w-4 accent-violet-600"
+                  aria-label={`Use ${p.name}`}
+                />
+                <div className="min-w-0 flex-1">
+                  <input
+                    defaultValue={p.name}
+                    onBlur={(e) => onRename(p.id, e.target.value)}
+                    className="w-full rounded border border-transparent px-1 font-medium text-slate-900 hover:border-slate-200 focus:border-violet-300 focus:outline-none"
+                    aria-label="Place name"
+                  />
+                  <div className="px-1 text-xs text-slate-500">
+                    {formatCoords(p)}
+                    {p.weather?.temp_c != null && ` · ${p.weather.temp_c.toFixed(1)}°C ${p.weather.hint || ""}`}
+                    {p.source === "gps" && " · device location"}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onRemove(p.id)}
+                  className="rounded-full p-1.5 text-slate-400 hover:bg-red-50 hover:text-red-600 transition-colors"
+                  title="Remove place"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="rounded-xl bg-slate-50 p-3 text-slate-500">No saved places yet. Search for a city or enter coordinates.</div>
+        )}
+
+        <div className="space-y-3 rounded-xl border border-slate-200 p-3">
+          <div className="flex gap-1 rounded-lg bg-slate-100 p-1 text-xs font-medium">
+            {[["search", "Search city"], ["coords", "Coordinates"]].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setMode(value)}
+                className={cn("flex-1 rounded-md px-2 py-1.5 transition-colors", mode === value ? "bg-white text-slate-900 shadow-sm" : "text-slate-500 hover:text-slate-700")}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder='Name (optional), e.g. "Trip: Oslo"' className={inputClass} />
+          {mode === "search" ? (
+            <div className="space-y-2">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="City, or city, country code"
+                  className={cn(inputClass, "pl-9")}
+                  autoFocus
+                />
+              </div>
+              {query.trim() && (
+                matches.length ? (
+                  <ul className="max-h-48 overflow-y-auto rounded-lg border border-slate-200">
+                    {matches.map((c) => (
+                      <li key={`${c.name}-${c.country}`}>
+                        <button
+                          onClick={() => add(c.name, { lat: c.lat, lon: c.lon }, "search")}
+                          className="flex w-full items-center justify-between px-3 py-2 text-left hover:bg-violet-50"
+                        >
+                          <span>{c.name} <span className="text-slate-400">{c.country}</span></span>
+                          <span className="text-xs text-slate-400">{formatCoords(c)}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="text-xs text-slate-500">No city found. Try entering coordinates instead.</div>
+                )
+              )}
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 gap-2">
+                <input value={lat} onChange={(e) => setLat(e.target.value)} placeholder="Latitude" inputMode="decimal" className={inputClass} aria-label="Latitude" />
+                <input value={lon} onChange={(e) => setLon(e.target.value)} placeholder="Longitude" inputMode="decimal" className={inputClass} aria-label="Longitude" />
+              </div>
+              {(lat || lon) && !parsed && (
+                <div className="text-xs text-red-600">Latitude must be between -90 and 90, longitude between -180 and 180</div>
+              )}
+              <Button size="sm" variant="primary" icon={MapPin} disabled={!parsed} onClick={() => add(formatCoords(parsed), parsed, "manual")}>
+                Add place
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// Dominant colours of a wardrobe photo; segment widths follow each colour's share
+const PaletteStrip = ({ swatches }) => (
+  <div className="mt-1 flex h-3 overflow-hidden rounded-md ring-1 ring-slate-200">
+    {swatches.map((s, i) => {
+      const pct = Math.round(s.share * 100);
+      const [, sat, v] = rgbToHsv(hexToRgb(s.hex));
+      return (
+        <div
+          key={i}
+          className={cn("flex items-center justify-center text-[8px] font-medium leading-none", v > 0.7 && sat < 0.5 ? "text-slate-800" : "text-white")}
+          style={{ background: s.hex, flexGrow: s.share, flexBasis: 0 }}
+          title={`${humanize(s.family)} ${s.hex} · ${pct}%`}
+        >
+          {pct >= 20 && `${pct}%`}
+        </div>
+      );
+    })}
+  </div>
+);
+
+const DuplicateDialog = ({ entry, remaining, onResolve }) => (
+  <Modal title="Possible duplicate" icon={Copy} onClose={() => onResolve("discard")} wide>
+    <div className="space-y-4 text-sm text-slate-600">
+      <p>
+        <span className="font-medium text-slate-900">{entry.item.file.name}</span> looks very similar to a piece already in{" "}
+        {humanize(entry.match.bucket)}.
+        {entry.match.bucket !== entry.bucket && ` You're adding it to ${humanize(entry.bucket)}, and one photo shouldn't be in both.`}
+      </p>
+      <div className="grid grid-cols-2 gap-4">
+        {[
+          { label: `New · ${humanize(entry.bucket)}`, file: entry.item.file },
+          { label: `Existing · ${humanize(entry.match.bucket)}`, file: entry.match.item.file, name: entry.match.item.meta?.name },
+        ].map((side) => (
+          <div key={side.label} className="space-y-2">
+            <div className="text-xs font-medium uppercase tracking-wide text-slate-500">{side.label}</div>
+            <div className="aspect-square overflow-hidden rounded-2xl bg-slate-50">
+              <FileImage file={side.file} alt={side.label} className="h-full w-full object-contain" />
+            </div>
+            <div className="truncate text-xs text-slate-500">{side.name || side.file.name}</div>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <span className="text-xs text-slate-400">
+          {remaining > 0 ? `${remaining} more to review` : `${64 - entry.distance} of 64 fingerprint bits match`}
+        </span>
+        <div className="flex gap-2">
+          <Button variant="ghost" onClick={() => onResolve("discard")}>Discard new</Button>
+          <Button variant="secondary" onClick={() => onResolve("replace")}>Replace existing</Button>
+          <Button variant="primary" onClick={() => onResolve("keep")}>Keep both</Button>
+        </div>
+      </div>
+    </div>
+  </Modal>
+);
+
+const ArchiveImportDialog = ({ pending, currentCount, onApply, onClose }) => (
+  <Modal title="Import Wardrobe" icon={Archive} onClose={onClose}>
+    <div className="space-y-4 text-sm text-slate-600">
+      <div>
+        <span className="font-medium text-slate-900">{pending.name}</span> contains {pending.count} usable {pending.count === 1 ? "item" : "items"}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {BUCKETS.map((b) => (
+          <div key={b} className="flex justify-between rounded-lg bg-slate-50 px-3 py-1.5">
+            <span>{humanize(b)}</span>
+            <span className="font-medium">{pending.wardrobe[b].length}</span>
+          </div>
+        ))}
+      </div>
+      {pending.skipped.length > 0 && (
+        <div className="rounded-xl border border-amber-200 bg-amber-50 p-3">
+          <div className="mb-1 font-medium text-amber-800">Skipped {pending.skipped.length} {pending.skipped.length === 1 ? "entry" : "entries"}</div>
+          <ul className="max-h-32 space-y-0.5 overflow-y-auto text-xs text-amber-700">
+            {pending.skipped.map((x, i) => <li key={i}><span className="font-medium">{x.name}</span>: {x.reason}</li>)}
+          </ul>
+        </div>
+      )}
+      {currentCount > 0 && (
+        <p className="text-xs text-slate-500">
+          You already have {currentCount} {currentCount === 1 ? "item" : "items"}. Merge adds the archive's items; replace removes your current wardrobe first.
+        </p>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" onClick={onClose}>Cancel</Button>
+        {currentCount > 0 && (
+          <Button variant="secondary" onClick={() => onApply("replace")} disabled={!pending.count}>Replace</Button>
+        )}
+        <Button variant="primary" onClick={() => onApply(currentCount > 0 ? "merge" : "replace")} disabled={!pending.count}>
+          {currentCount > 0 ? "Merge" : "Import"}
+        </Button>
+      </div>
+    </div>
+  </Modal>
+);
+
+// `colorsOf(item)` -> [{ family, share }] or null while the palette is still being extracted
+const WardrobeAnalyticsDialog = ({ wardrobe, history, colorsOf, onClose }) => {
+  const counts = wardrobeCounts(wardrobe, BUCKETS);
+  const capacity = comboCapacity(counts);
+  const { runs, outfits, usage } = useMemo(() => usageFromHistory(history), [history]);
+  const items = useMemo(
+    () => BUCKETS.flatMap((bucket) => (wardrobe[bucket] || []).map((item, index) => ({ item, bucket, index }))),
+    [wardrobe]
+  );
+  const colors = useMemo(() => colorDistribution(items.map((e) => e.item), colorsOf), [items, colorsOf]);
+  const warnings = balanceWarnings(counts);
+  const additions = nextAdditions(counts, BUCKETS).slice(0, 2);
+  const key = keyPieces(wardrobe, BUCKETS, usage).slice(0, 6);
+  const ranked = items
+    .map((e) => ({ ...e, uses: usage.get(e.item.id)?.uses || 0, runs: usage.get(e.item.id)?.runs || 0 }))
+    .sort((a, b) => b.uses - a.uses);
+  const used = ranked.filter((e) => e.uses > 0);
+  const unused = ranked.filter((e) => e.uses === 0);
+  const maxUses = used[0]?.uses || 1;
+  const labelOf = (e) => itemLabel(e.item, e.bucket, e.index);
+  const positionOf = new Map(items.map((e) => [e.item.id, e]));
+  const heading = "mb-2 text-xs font-medium uppercase tracking-wide text-slate-500";
+
+  return (
+    <Modal title="Wardrobe Analytics" icon={BarChart3} onClose={onClose} wide>
+      <div className="space-y-6 text-sm text-slate-600">
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+          {[
+            ["Pieces", items.length],
+            ["Possible combinations", capacity],
+            ["Runs analysed", runs],
+            ["Outfits generated", outfits],
+          ].map(([label, value]) => (
+            <div key={label} className="rounded-2xl bg-slate-50 p-3">
+              <div className="text-xl font-semibold text-slate-900">{value}</div>
+              <div className="text-xs text-slate-500">{label}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+          <div>
+            <div className={heading}>Balance</div>
+            {warnings.length ? (
+              <ul className="space-y-1.5">
+                {warnings.map((w) => (
+                  <li key={w} className="flex items-start gap-2 rounded-xl bg-amber-50 px-3 py-2 text-amber-800">
+                    <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+                    {w}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="rounded-xl bg-emerald-50 px-3 py-2 text-emerald-700">Your buckets are well balanced</div>
+            )}
+            {additions.length > 0 && (
+              <div className="mt-2 text-xs text-slate-500">
+                {additions.map((a) => `Adding ${countLabel(a.bucket, 1)} unlocks ${a.gain} more combinations`).join(" · ")}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <div className={heading}>Colour mix</div>
+            {colors.analysed ? (
+              <>
+                <div className="flex h-4 overflow-hidden rounded-md ring-1 ring-slate-200">
+                  {[...colors.shares].map(([family, share]) => (
+                    <span
+                      key={family}
+                      style={{ width: `${share * 100}%`, backgroundColor: COLOR_FAMILIES.find((f) => f.id === family)?.swatch }}
+                      title={`${family} ${Math.round(share * 100)}%`}
+                    />
+                  ))}
+                </div>
+                <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-xs">
+                  {[...colors.shares].filter(([, share]) => share >= 0.02).map(([family, share]) => {
+                    const f = COLOR_FAMILIES.find((x) => x.id === family);
+                    return (
+                      <span key={family} className="inline-flex items-center gap-1.5">
+                        <span className="h-2.5 w-2.5 rounded-full ring-1 ring-slate-300" style={{ backgroundColor: f?.swatch }} />
+                        {f?.label || family} {Math.round(share * 100)}%
+                      </span>
+                    );
+                  })}
+                </div>
+                {colors.analysed < items.length && (
+                  <div className="mt-1 text-xs text-slate-400">{items.length - colors.analysed} photos still being analysed</div>
+                )}
+              </>
+            ) : (
+              <div className="text-slate-400">Colours appear once photos have been analysed</div>
+            )}
+          </div>
+        </div>
+
+        {key.length > 0 && (
+          <div>
+            <div className={heading}>Key pieces</div>
+            <div className="grid grid-cols-2 gap-3 sm:grid-cols-3 md:grid-cols-6">
+              {key.map((p) => {
+                const label = labelOf(positionOf.get(p.item.id));
+                return (
+                  <div key={p.item.id} className="space-y-1">
+                    <FileImage file={p.item.file} alt={label} className="aspect-square w-full rounded-xl" />
+                    <div className="truncate text-xs font-medium text-slate-800">{label}</div>
+                    <div className="text-[11px] text-slate-500">
+                      In {p.outfits} distinct generated {p.outfits === 1 ? "outfit" : "outfits"}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+          <div>
+            <div className={heading}>Appearances in generated outfits</div>
+            {used.length ? (
+              <ul className="max-h-72 space-y-1.5 overflow-y-auto pr-1">
+                {used.map((e) => (
+                  <li key={e.item.id} className="flex items-center gap-2">
+                    <FileImage file={e.item.file} alt={labelOf(e)} className="h-8 w-8 flex-shrink-0 rounded-lg" />
+                    <div className="min-w-0 flex-1">
+                      <div className="truncate text-xs text-slate-700">{labelOf(e)}</div>
+                      <div className="h-1.5 rounded-full bg-slate-100">
+                        <div className="h-1.5 rounded-full bg-violet-500" style={{ width: `${(e.uses / maxUses) * 100}%` }} />
+                      </div>
+                    </div>
+                    <span className="w-8 text-right text-xs font-medium text-slate-700">{e.uses}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="text-slate-400">Generate outfits in My Wardrobe to see which pieces get picked</div>
+            )}
+          </div>
+
+          <div>
+            <div className={heading}>Never in a combo · {unused.length}</div>
+            {unused.length ? (
+              <ul className="max-h-72 space-y-1.5 overflow-y-auto pr-1">
+                {unused.map((e) => (
+                  <li key={e.item.id} className="flex items-center gap-2">
+                    <FileImage file={e.item.file} alt={labelOf(e)} className="h-8 w-8 flex-shrink-0 rounded-lg" />
+                    <span className="min-w-0 flex-1 truncate text-xs text-slate-700">{labelOf(e)}</span>
+                    <span className="text-[11px] text-slate-400">
+                      {e.runs ? `skipped in ${e.runs} ${e.runs === 1 ? "run" : "runs"}` : "not tried yet"}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="text-slate-400">Every piece has made it into an outfit</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+const historySummary = (entry) => {
+  const p = entry.params || {};
+  if (entry.tab === "catalog") {
+    const anchorCount = entry.anchors?.length || 1;
+    return [
+      anchorCount > 1 ? `${anchorCount} anchors, ${p.mergeMode === "intersection" ? "intersection" : "merged"}` : null,
+      (p.allowTypes || []).map(humanize).join(", "),
+      `${p.colorMode} colour`,
+      `weights ${p.colorWeight}/${p.styleWeight}/${p.diversityWeight}`,
+      `${p.perBucket} per bucket`,
+    ].filter(Boolean).join(" • ");
+  }
+  return [
+    `top ${p.topk}`,
+    p.weather?.temp_c != null ? `${Number(p.weather.temp_c).toFixed(1)}°C` : null,
+    humanize(p.weather?.hint || p.weatherHint || "mild"),
+    p.coords ? `${p.coords.lat.toFixed(2)}, ${p.coords.lon.toFixed(2)}` : null,
+  ].filter(Boolean).join(" • ");
+};
+
+const HistoryDialog = ({ history, itemsById, busy, onRestore, onRerun, onDelete, onClear, onClose }) => {
+  const [filter, setFilter] = useState("");
+  const visible = filter ? history.filter((e) => e.tab === filter) : history;
+
+  return (
+    <Modal title="Recommendation History" icon={HistoryIcon} onClose={onClose} wide>
+      <div className="mb-4 flex items-center gap-2">
+        {[["", "All"], ["catalog", "Catalog"], ["wardrobe", "Wardrobe"]].map(([id, label]) => (
+          <button
+            key={id || "all"}
+            onClick={() => setFilter(id)}
+            className={cn(
+              "rounded-full px-3 py-1 text-xs font-medium transition-colors",
+              filter === id ? "bg-violet-600 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+            )}
+          >
+            {label}
+          </button>
+        ))}
+        {history.length > 0 && (
+          <Button size="sm" variant="ghost" icon={Trash2} onClick={onClear} className="ml-auto">
+            Clear history
+          </Button>
+        )}
+      </div>
+      {!visible.length ? (
+        <div className="py-8 text-center text-sm text-slate-500">Runs you make are kept here so you can restore or repeat them</div>
+      ) : (
+        <ul className="space-y-2">
+          {visible.map((entry) => {
+            const items = entry.response?.items || [];
+            return (
+              <li key={entry.id} className="flex items-center gap-3 rounded-2xl border border-slate-100 p-3">
+                <div className="flex flex-shrink-0 gap-1">
+                  {entry.tab === "catalog" ? (
+                    (entry.anchors || [{ thumb: entry.thumb, blob: entry.anchor?.blob }]).map((a, i) => (
+                      <FileImage key={i} file={a.thumb || a.blob} alt={`Anchor ${i + 1}`} className="h-12 w-12 rounded-xl" />
+                    ))
+                  ) : (
+                    (items[0]?.parts || []).slice(0, 3).map((p, i) => (
+                      <FileImage key={i} file={itemsById.get(p.itemId)?.file} alt={p.slot} className="h-12 w-12 rounded-xl" />
+                    ))
+                  )}
+                </div>
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center gap-2 text-sm">
+                    <Tag color={entry.tab === "catalog" ? "violet" : "emerald"}>{entry.tab === "catalog" ? "Catalog" : "Wardrobe"}</Tag>
+                    <span className="text-slate-700">{new Date(entry.createdAt).toLocaleString()}</span>
+                  </div>
+                  <div className="mt-1 truncate text-xs text-slate-500">{historySummary(entry)}</div>
+                  <div className="text-xs text-slate-500">
+                    {items.length} results{items[0]?.score != null && ` • top score ${items[0].score.toFixed(3)}`}
+                  </div>
+                </div>
+                <div className="flex flex-shrink-0 items-center gap-1">
+                  <Button size="sm" variant="secondary" onClick={() => onRestore(entry)}>Restore</Button>
+                  <Button size="sm" variant="ghost" icon={Play} onClick={() => onRerun(entry)} disabled={busy} title="Run again with these settings">
+                    Re-run
+                  </Button>
+                  <button
+                    onClick={() => onDelete(entry.id)}
+                    className="rounded-full p-1.5 text-slate-400 hover:bg-slate-100 hover:text-slate-600 transition-colors"
+                    title="Delete entry"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </Modal>
+  );
+};
+
+const PreferencesDialog = ({ feedback, itemsById, getPreviewUrl, onRemove, onReset, onClose }) => {
+  const section = (vote, title) => {
+    const entries = feedback.filter((f) => f.vote === vote);
+    return (
+      <div>
+        <div className="mb-2 flex items-center gap-2 text-sm font-semibold text-slate-900">
+          {vote > 0 ? <ThumbsUp className="h-4 w-4 text-emerald-600" /> : <ThumbsDown className="h-4 w-4 text-rose-500" />}
+          {title} <span className="font-normal text-slate-400">{entries.length}</span>
+        </div>
+        {!entries.length ? (
+          <div className="text-xs text-slate-500">Nothing yet</div>
+        ) : (
+          <ul className="space-y-2">
+            {entries.map((f) => (
+              <li key={f.key} className="flex items-center gap-3 rounded-xl border border-slate-100 p-2">
+                <div className="flex flex-shrink-0 gap-1">
+                  {f.kind === "catalog" ? (
+                    <FileImage file={getPreviewUrl(f.target)} alt={f.target.title || f.target.category} className="h-10 w-10 rounded-lg" />
+                  ) : (
+                    f.target.parts.slice(0, 4).map((p) => (
+                      <FileImage key={p.itemId} file={itemsById.get(p.itemId)?.file} alt={p.slot} className="h-10 w-10 rounded-lg" />
+                    ))
+                  )}
+                </div>
+                <div className="min-w-0 flex-1 text-xs">
+                  <div className="truncate font-medium text-slate-800">
+                    {f.kind === "catalog"
+                      ? f.target.title || humanize(f.target.category || f.target.bucket || "item")
+                      : f.target.parts.map((p, i) => itemLabel(itemsById.get(p.itemId), p.slot, i)).join(" + ")}
+                  </div>
+                  <div className="text-slate-500">
+                    {f.kind === "catalog" ? "Catalog item" : "Outfit"} • {new Date(f.createdAt).toLocaleDateString()}
+                    {f.score != null && ` • score ${f.score.toFixed(2)}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onRemove(f.key)}
+                  className="rounded-full p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-600 transition-colors"
+                  title="Forget this preference"
+                >
+                  <X className="h-3.5 w-3.5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal title="Your Preferences" icon={ThumbsUp} onClose={onClose}>
+      <p className="mb-4 text-xs text-slate-500">
+        Liked catalog items and outfit pairings are ranked higher in new results; disliked ones are ranked lower.
+      </p>
+      <div className="space-y-5">
+        {section(1, "Liked")}
+        {section(-1, "Disliked")}
+      </div>
+      {feedback.length > 0 && (
+        <div className="mt-6 flex justify-end">
+          <Button variant="secondary" icon={RotateCcw} onClick={onReset}>Reset preferences</Button>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+const CompareDialog = ({ title, columns, rows, onRemove, onClose }) => {
+  const gridStyle = { gridTemplateColumns: `8rem repeat(${columns.length}, minmax(0, 1fr))` };
+  return (
+    <Modal title={title} icon={Columns2} onClose={onClose} wide>
+      <div className="overflow-x-auto">
+        <div className="grid min-w-[36rem] gap-x-3" style={gridStyle}>
+          <div />
+          {columns.map((col) => (
+            <div key={col.key} className="space-y-2 pb-3">
+              <div className={cn("grid gap-1.5", col.images.length > 1 && "grid-cols-2")}>
+                {col.images.map((img, i) => (
+                  <div key={i} className="aspect-square overflow-hidden rounded-xl bg-slate-50">
+                    <FileImage file={img.source} alt={img.label} className="h-full w-full rounded-xl" />
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="truncate text-sm font-semibold text-slate-900">{col.heading}</span>
+                <button
+                  onClick={() => onRemove(col.key)}
+                  className="rounded-full p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-600 transition-colors"
+                  title="Remove from comparison"
+                >
+                  <X className="h-3.5 w-3.5" />
+                </button>
+              </div>
+            </div>
+          ))}
+          {rows.map((r) => (
+            <React.Fragment key={r.label}>
+              <div className="border-t border-slate-100 py-2 text-xs font-medium text-slate-500">{r.label}</div>
+              {r.cells.map((cell, i) => (
+                <div
+                  key={i}
+                  className={cn(
+                    "border-t border-slate-100 px-2 py-2 text-xs text-slate-700",
+                    cell.best && "bg-emerald-50 font-semibold text-emerald-700",
+                    cell.differs && "bg-amber-50 text-amber-800"
+                  )}
+                >
+                  {Array.isArray(cell.text) ? (
+                    <ul className="space-y-0.5">
+                      {cell.text.map((t, j) => <li key={j}>{t}</li>)}
+                    </ul>
+                  ) : cell.text}
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+      <div className="mt-4 flex items-center gap-4 text-[11px] text-slate-500">
+        <span className="inline-flex items-center gap-1.5"><span className="h-2.5 w-2.5 rounded bg-emerald-100" /> Best value</span>
+        <span className="inline-flex items-center gap-1.5"><span className="h-2.5 w-2.5 rounded bg-amber-100" /> Differs</span>
+      </div>
+    </Modal>
+  );
+};
+
+// Collage export: `job` = { title, filename, images: [{ source, label }], caption, countOptions? }
+const ExportDialog = ({ job, onClose, onError }) => {
+  const [layout, setLayout] = useState(job.defaultLayout || "grid");
+  const [size, setSize] = useState(1080);
+  const [format, setFormat] = useState("png");
+  const [withCaption, setWithCaption] = useState(true);
+  const [count, setCount] = useState(job.countOptions?.[0] ?? null);
+  const [preview, setPreview] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const options = useMemo(() => ({
+    images: count != null ? job.images.slice(0, count + (job.pinned ?? 1)) : job.images,
+    layout,
+    caption: withCaption ? job.caption : null,
+  }), [job, layout, withCaption, count]);
+
+  useEffect(() => {
+    let url = "";
+    let cancelled = false;
+    renderCollage({ ...options, size: 480, format: "jpeg", quality: 0.8 })
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreview(url);
+      })
+      .catch(() => !cancelled && setPreview(""));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [options]);
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const blob = await renderCollage({ ...options, size, format });
+      downloadBlob(blob, `${job.filename}.${format === "jpeg" ? "jpg" : "png"}`);
+      onClose();
+    } catch (e) {
+      onError(e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const selectClass = "w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none";
+
+  return (
+    <Modal title={job.title} icon={Download} onClose={onClose}>
+      <div className="space-y-4">
+        <div className="flex min-h-48 items-center justify-center overflow-hidden rounded-2xl bg-slate-100">
+          {preview ? <img src={preview} alt="Collage preview" className="max-h-80 w-auto" /> : <Loader2 className="h-6 w-6 animate-spin text-slate-400" />}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Layout</label>
+            <select value={layout} onChange={(e) => setLayout(e.target.value)} className={selectClass}>
+              {COLLAGE_LAYOUTS.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Resolution</label>
+            <select value={size} onChange={(e) => setSize(Number(e.target.value))} className={selectClass}>
+              {COLLAGE_SIZES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="mb-1 block text-xs font-medium text-slate-600">Format</label>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={selectClass}>
+              <option value="png">PNG</option>
+              <option value="jpeg">JPEG</option>
+            </select>
+          </div>
+          {job.countOptions && (
+            <div>
+              <label className="mb-1 block text-xs font-medium text-slate-600">Top items</label>
+              <select value={count} onChange={(e) => setCount(Number(e.target.value))} className={selectClass}>
+                {job.countOptions.map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+        {job.caption && (
+          <label className="inline-flex items-center gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={withCaption}
+              onChange={(e) => setWithCaption(e.target.checked)}
+              className="h-4 w-4 rounded border-slate-300"
+            />
+            Include caption
+          </label>
+        )}
+        <Button variant="primary" className="w-full" icon={busy ? Loader2 : Download} onClick={handleExport} disabled={busy}>
+          {busy ? "Rendering..." : "Download"}
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+export default function App() {
+  const [storedTab, setTab] = useLocalStorage("tab", "catalog", initialUrlState.tab);
+  const tab = ROUTES.includes(storedTab) ? storedTab : "catalog";
+  const defaultApi = typeof window !== "undefined" && window.location && (window.location.port === "8000" || window.location.hostname === "127.0.0.1")
+    ? `${window.location.protocol}//${window.location.host}`
+    : "http://127.0.0.1:8000";
+  const [apiBase, setApiBase] = useLocalStorage("apiBase", defaultApi);
+  const [mockConfig, setMockConfig] = useLocalStorage("mockApi", {
+    ...DEFAULT_MOCK_CONFIG,
+    enabled: import.meta.env.VITE_MOCK_API === "true",
+  });
+  const [showMockPanel, setShowMockPanel] = useState(false);
+  const api = useMemo(() => createApiClient({
+    baseUrl: apiBase,
+    fetch: mockConfig.enabled ? createMockFetch(mockConfig) : undefined,
+  }), [apiBase, mockConfig]);
+
+  const { push, ToastHost } = useToasts();
+
+  // Health check
+  const [health, setHealth] = useState({ ok: false, loading: true, msg: "" });
+  const fetchHealth = useCallback(async () => {
+    setHealth((h) => ({ ...h, loading: true }));
+    try {
+      const j = await api.health();
+      if (j.engine_loaded) setHealth({ ok: true, loading: false, msg: `Device: ${j.device} • Catalog: ${j.catalog_size}` });
+      else setHealth({ ok: false, loading: false, msg: j.error ? `Backend not ready: ${j.error}` : "Backend not ready." });
+    } catch (e) {
+      setHealth({
+        ok: false,
+        loading: false,
+        msg: e.status ? `Backend not ready: ${e.detail || e.status}` : "Cannot reach API. Check URL or start backend.",
+      });
+    }
+  }, [api]);
+  
+  useEffect(() => {
+    fetchHealth();
+  }, [fetchHealth]);
+
+  // State
+  // Catalog anchors: [{ id, file, source }], `source` = { itemId, bucket } when the anchor is a wardrobe item
+  const [anchors, setAnchors] = useState([]);
+  const [mergeMode, setMergeMode] = useLocalStorage("anchorMerge", "merged");
+  const [allowTypesRaw, setAllowTypesRaw] = useLocalStorage("allowTypes", BUCKETS, initialUrlState.settings.allowTypes);
+  const allowTypesSet = useMemo(() => new Set(Array.isArray(allowTypesRaw) ? allowTypesRaw : BUCKETS), [allowTypesRaw]);
+  const [colorMode, setColorMode] = useLocalStorage("colorMode", "auto", initialUrlState.settings.colorMode);
+  const [perBucket, setPerBucket] = useLocalStorage("perBucket", 5, initialUrlState.settings.perBucket);
+  const [topk, setTopk] = useLocalStorage("topk", 20, initialUrlState.settings.topk);
+  const [weatherHint, setWeatherHint] = useLocalStorage("weatherHint", "mild");
+  const [autoWeather, setAutoWeather] = useLocalStorage("autoWeather", true);
+  // Saved places replace the single stored location; each caches its own weather
+  const [legacyLocation] = useState(legacyPlace);
+  const [places, setPlaces] = useLocalStorage("places", legacyLocation ? [legacyLocation] : []);
+  const [activePlaceId, setActivePlaceId] = useLocalStorage("activePlace", legacyLocation?.id ?? null);
+  const [showPlaces, setShowPlaces] = useState(false);
+  const activePlace = useMemo(() => places.find((p) => p.id === activePlaceId) || null, [places, activePlaceId]);
+  const coords = useMemo(() => (activePlace ? { lat: activePlace.lat, lon: activePlace.lon } : null), [activePlace]); // {lat, lon}
+  const liveWeather = activePlace?.weather ?? null; // {temp_c, precip_mm, wind_kph, code, hint}
+  const weatherAnalytics = activePlace?.analytics ?? null;
+  useEffect(() => {
+    window.localStorage.removeItem("coords");
+    window.localStorage.removeItem("liveWeather");
+  }, []);
+  const [weatherTrends, setWeatherTrends] = useState(null);
+  const [weatherError, setWeatherError] = useState("");
+  const [colorWeight, setColorWeight] = useLocalStorage("colorWeight", 0.15, initialUrlState.settings.colorWeight);
+  const [styleWeight, setStyleWeight] = useLocalStorage("styleWeight", 0.1, initialUrlState.settings.styleWeight);
+  const [diversityWeight, setDiversityWeight] = useLocalStorage("diversityWeight", 0.05, initialUrlState.settings.diversityWeight);
+  const [density, setDensity] = useLocalStorage("density", "comfortable");
+  const [catalogView, setCatalogView] = useLocalStorage("catalogView", DEFAULT_CATALOG_VIEW);
+  const [prepSettings, setPrepSettings] = useLocalStorage("imagePrep", DEFAULT_PREP_SETTINGS);
+  const prepareUploads = useMemo(
+    () => (prepSettings.enabled ? (files) => preprocessImages(files, prepSettings) : undefined),
+    [prepSettings]
+  );
+  // Wardrobe items ({ id, file }) are persisted to IndexedDB, see wardrobeStore.js
+  const [wardrobe, setWardrobe] = useState(() => emptyWardrobe(BUCKETS));
+  const [wardrobeReady, setWardrobeReady] = useState(false);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+
+  useEffect(() => {
+    // Legacy: the wardrobe used to be (unsuccessfully) written to localStorage
+    try { localStorage.removeItem("wardrobe"); } catch { /* ignore */ }
+    loadWardrobe(BUCKETS)
+      .then(setWardrobe)
+      .catch((e) => push({ title: "Couldn't restore wardrobe", message: String(e.message || e), variant: "error" }))
+      .finally(() => setWardrobeReady(true));
+  }, [push]);
+
+  useEffect(() => {
+    if (!wardrobeReady) return;
+    syncWardrobe(wardrobe, BUCKETS)
+      .catch((e) => {
+        if (isQuotaError(e)) {
+          setWardrobe(lastSavedWardrobe(BUCKETS));
+          push({ title: "Storage full", message: "Latest wardrobe changes weren't saved. Remove some items and try again.", variant: "error", duration: 8000 });
+        } else {
+          push({ title: "Couldn't save wardrobe", message: String(e.message || e), variant: "error" });
+        }
+      })
+      .finally(() => getStorageEstimate().then(setStorageEstimate));
+  }, [wardrobe, wardrobeReady, push]);
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [catalogResults, setCatalogResults] = useState(null);
+  const [wardrobeResults, setWardrobeResults] = useState(null);
+  // Selected result indices for the comparison view, reset whenever results are replaced
+  const [comboCompare, setComboCompare] = useState([]);
+  const [catalogCompare, setCatalogCompare] = useState([]);
+  const [compareOpen, setCompareOpen] = useState(null); // "combo" | "catalog"
+
+  // Keep the URL in sync: tab switches add a history entry, setting tweaks replace it
+  const urlSettings = useMemo(() => ({
+    allowTypes: Array.isArray(allowTypesRaw) ? allowTypesRaw : BUCKETS,
+    perBucket,
+    topk,
+    colorMode,
+    colorWeight,
+    styleWeight,
+    diversityWeight,
+  }), [allowTypesRaw, perBucket, topk, colorMode, colorWeight, styleWeight, diversityWeight]);
+  const lastTabRef = useRef(tab);
+  const fromPopRef = useRef(false);
+
+  useEffect(() => {
+    const url = buildAppUrl(tab, urlSettings);
+    const current = `${window.location.pathname}${window.location.search}`;
+    if (url !== current) {
+      if (tab !== lastTabRef.current && !fromPopRef.current) window.history.pushState(null, "", url);
+      else window.history.replaceState(null, "", url);
+    }
+    lastTabRef.current = tab;
+    fromPopRef.current = false;
+  }, [tab, urlSettings]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const { tab: nextTab, settings } = readUrlState(window.location, BUCKETS);
+      if (nextTab && nextTab !== lastTabRef.current) {
+        fromPopRef.current = true;
+        setTab(nextTab);
+      }
+      if (settings.allowTypes) setAllowTypesRaw(settings.allowTypes);
+      if (settings.perBucket !== undefined) setPerBucket(settings.perBucket);
+      if (settings.topk !== undefined) setTopk(settings.topk);
+      if (settings.colorMode) setColorMode(settings.colorMode);
+      if (settings.colorWeight !== undefined) setColorWeight(settings.colorWeight);
+      if (settings.styleWeight !== undefined) setStyleWeight(settings.styleWeight);
+      if (settings.diversityWeight !== undefined) setDiversityWeight(settings.diversityWeight);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [setTab, setAllowTypesRaw, setPerBucket, setTopk, setColorMode, setColorWeight, setStyleWeight, setDiversityWeight]);
+
+  // ---- Presets ----
+  const [userPresets, setUserPresets] = useLocalStorage("presets", []);
+  const presets = useMemo(() => [...BUILTIN_PRESETS, ...userPresets], [userPresets]);
+  const presetSettings = { colorWeight, styleWeight, diversityWeight, perBucket, topk, colorMode };
+  const activePreset = findMatchingPreset(presets, presetSettings);
+
+  const applyPreset = useCallback(({ settings }) => {
+    setColorWeight(settings.colorWeight);
+    setStyleWeight(settings.styleWeight);
+    setDiversityWeight(settings.diversityWeight);
+    setPerBucket(settings.perBucket);
+    setTopk(settings.topk);
+    setColorMode(settings.colorMode);
+  }, [setColorWeight, setStyleWeight, setDiversityWeight, setPerBucket, setTopk, setColorMode]);
+
+  const handleSavePreset = () => {
+    const name = window.prompt("Name this preset", "");
+    if (!name?.trim()) return;
+    setUserPresets((list) => mergePresets(list, [createPreset(name, presetSettings)]));
+    push({ title: "Preset saved", message: name.trim(), variant: "ok" });
+  };
+
+  const handleDeletePreset = (preset) => {
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+    setUserPresets((list) => list.filter((p) => p.id !== preset.id));
+  };
+
+  const handleExportPresets = () => {
+    downloadBlob(new Blob([exportPresets(userPresets)], { type: "application/json" }), "styleai-presets.json");
+  };
+
+  const handleImportPresets = async (file) => {
+    try {
+      const { presets: incoming, skipped } = parsePresetFile(await file.text());
+      setUserPresets((list) => mergePresets(list, incoming));
+      push({
+        title: `Imported ${incoming.length} ${incoming.length === 1 ? "preset" : "presets"}`,
+        message: skipped.length ? `Skipped ${skipped.map((x) => `${x.name} (${x.reason})`).join("; ")}` : undefined,
+        variant: incoming.length ? "ok" : "error",
+        duration: skipped.length ? 8000 : undefined,
+      });
+    } catch (e) {
+      push({ title: "Import failed", message: String(e.message || e), variant: "error" });
+    }
+  };
+
+  const copyShareLink = useCallback(async () => {
+    const url = new URL(buildAppUrl(tab, urlSettings), window.location.origin).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      push({ title: "Link copied", message: "Opens with the current tab and settings", variant: "ok" });
+    } catch {
+      window.prompt("Copy this link", url);
+    }
+  }, [tab, urlSettings, push]);
+
+  const totalWardrobeItems = useMemo(() => BUCKETS.reduce((acc, b) => acc + (wardrobe[b]?.length || 0), 0), [wardrobe]);
+  const itemsById = useMemo(() => indexItems(wardrobe), [wardrobe]);
+
+  // Lookbook (saved outfits)
+  const [outfits, setOutfits] = useState([]);
+  const savedKeys = useMemo(() => new Set(outfits.map((o) => o.key)), [outfits]);
+
+  useEffect(() => {
+    loadOutfits()
+      .then(setOutfits)
+      .catch((e) => push({ title: "Couldn't load lookbook", message: String(e.message || e), variant: "error" }));
+  }, [push]);
+
+  const handleToggleSave = useCallback(async (combo) => {
+    const existing = outfits.find((o) => o.key === outfitKey(combo.parts));
+    try {
+      if (existing) {
+        await deleteOutfit(existing.id);
+        setOutfits((prev) => prev.filter((o) => o.id !== existing.id));
+        push({ title: "Removed from lookbook", variant: "ok" });
+      } else {
+        const outfit = createOutfit(combo, liveWeather);
+        await putOutfit(outfit);
+        setOutfits((prev) => [outfit, ...prev]);
+        push({ title: "Saved to lookbook", variant: "ok" });
+      }
+    } catch (e) {
+      push({
+        title: isQuotaError(e) ? "Storage full" : "Couldn't update lookbook",
+        message: String(e.message || e),
+        variant: "error",
+      });
+    }
+  }, [outfits, liveWeather, push]);
+
+  const handleUpdateOutfit = useCallback(async (outfit) => {
+    setOutfits((prev) => prev.map((o) => (o.id === outfit.id ? outfit : o)));
+    try {
+      await putOutfit(outfit);
+    } catch (e) {
+      push({ title: "Couldn't save outfit", message: String(e.message || e), variant: "error" });
+    }
+  }, [push]);
+
+  const handleDeleteOutfit = useCallback(async (outfit) => {
+    try {
+      await deleteOutfit(outfit.id);
+      setOutfits((prev) => prev.filter((o) => o.id !== outfit.id));
+    } catch (e) {
+      push({ title: "Couldn't delete outfit", message: String(e.message || e), variant: "error" });
+    }
+  }, [push]);
+
+  // Helpers
+  const toggleAllowType = useCallback((type) => {
+    setAllowTypesRaw(prev => {
+      const base = Array.isArray(prev) ? prev.slice() : BUCKETS.slice();
+      const i = base.indexOf(type);
+      if (i >= 0) base.splice(i, 1);
+      else base.push(type);
+      return base;
+    });
+  }, [setAllowTypesRaw]);
+
+  const handleAnchorFiles = useCallback((files) => {
+    if (!files?.length) return;
+    setAnchors((prev) => [...prev, ...files.map((file) => ({ id: newItemId(), file, source: null }))].slice(0, MAX_ANCHORS));
+  }, []);
+
+  const removeAnchor = useCallback((id) => setAnchors((prev) => prev.filter((a) => a.id !== id)), []);
+
+  // Colour palettes of wardrobe photos, extracted client-side in the mode picked for recommendations
+  const paletteMode = paletteModeFor(colorMode);
+  // item id -> { file, mode, swatches }; swatches is null when extraction failed
+  const [palettes, setPalettes] = useState(() => new Map());
+  const [colorFilter, setColorFilter] = useState(null); // colour family id
+  const paletteFor = useCallback((item) => paletteEntry(palettes, item, paletteMode)?.swatches || null, [palettes, paletteMode]);
+  // A colour set by hand in the item details wins over the extracted one
+  const colorOfItem = useCallback((id) => {
+    const item = itemsById.get(id);
+    return item ? item.meta.color || paletteFor(item)?.[0]?.hex || null : null;
+  }, [itemsById, paletteFor]);
+
+  // Extraction reads the palettes through a ref so storing a result doesn't
+  // restart it; failures are stored too, so each photo is only tried once per mode
+  const palettesRef = useRef(palettes);
+  useEffect(() => { palettesRef.current = palettes; }, [palettes]);
+
+  useEffect(() => {
+    const missing = Object.values(wardrobe).flat().filter((item) => !paletteEntry(palettesRef.current, item, paletteMode));
+    if (!missing.length) return;
+    let cancelled = false;
+    (async () => {
+      for (const item of missing) {
+        let swatches = null;
+        try {
+          swatches = await filePalette(item.file, paletteMode);
+        } catch (e) {
+          console.warn("Couldn't extract palette for", item.file.name, e);
+        }
+        if (cancelled) return;
+        setPalettes((prev) => new Map(prev).set(item.id, { file: item.file, mode: paletteMode, swatches }));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [wardrobe, paletteMode]);
+
+  // Colour families for analytics; a hand-set colour counts as the whole item
+  const colorsOfItem = useCallback((item) => (item.meta.color
+    ? [{ family: colorFamily(hexToRgb(item.meta.color)), share: 1 }]
+    : paletteFor(item)), [paletteFor]);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+
+  const familyCounts = useMemo(() => {
+    const counts = new Map();
+    Object.values(wardrobe).flat().forEach((item) =>
+      paletteFamilies(paletteFor(item)).forEach((f) => counts.set(f, (counts.get(f) || 0) + 1))
+    );
+    return counts;
+  }, [wardrobe, paletteFor]);
+
+  // Uploads are fingerprinted against every bucket: exact copies are dropped,
+  // near-duplicates wait in `duplicateQueue` for a keep/replace decision
+  const [checkingUploads, setCheckingUploads] = useState(false);
+  const [duplicateQueue, setDuplicateQueue] = useState([]); // [{ item, bucket, match: { item, bucket }, distance }]
+
+  const handleAddWardrobe = useCallback(async (bucket, files) => {
+    requestPersistentStorage();
+    const incoming = files.slice(0, 8).map((file) => createItem(file));
+    const existing = BUCKETS.flatMap((b) => (wardrobe[b] || []).map((item) => ({ item, bucket: b })));
+    setCheckingUploads(true);
+    try {
+      const { accepted, exact, near } = await checkDuplicates(incoming, bucket, existing);
+      if (accepted.length) setWardrobe((prev) => ({ ...prev, [bucket]: [...(prev[bucket] || []), ...accepted] }));
+      if (near.length) setDuplicateQueue((prev) => [...prev, ...near.map((d) => ({ ...d, bucket }))]);
+      if (exact.length) {
+        push({
+          title: `Skipped ${exact.length} duplicate ${exact.length === 1 ? "photo" : "photos"}`,
+          message: exact.map(({ item, match }) => `${item.file.name} is already in ${humanize(match.bucket)}`).join("; "),
+          variant: "error",
+          duration: 6000,
+        });
+      }
+    } catch (e) {
+      push({ title: "Couldn't add items", message: String(e.message || e), variant: "error" });
+    } finally {
+      setCheckingUploads(false);
+    }
+  }, [wardrobe, push]);
+
+  const handleUploadError = useCallback((e) => {
+    push({ title: "Upload failed", message: String(e.message || e), variant: "error" });
+  }, [push]);
+
+  const resolveDuplicate = useCallback((choice) => {
+    const [current, ...rest] = duplicateQueue;
+    setDuplicateQueue(rest);
+    if (!current || choice === "discard") return;
+    setWardrobe((prev) => {
+      if (choice === "keep") return { ...prev, [current.bucket]: [...(prev[current.bucket] || []), current.item] };
+      // Replace keeps the existing item's id and details, with the new photo, in the bucket it was dropped on
+      const target = current.match.item.id;
+      const old = Object.values(prev).flat().find((item) => item.id === target);
+      const replacement = old ? { ...old, file: current.item.file } : current.item;
+      if ((prev[current.bucket] || []).some((item) => item.id === target)) {
+        return { ...prev, [current.bucket]: prev[current.bucket].map((item) => (item.id === target ? replacement : item)) };
+      }
+      const next = Object.fromEntries(Object.entries(prev).map(([b, items]) => [b, items.filter((item) => item.id !== target)]));
+      return { ...next, [current.bucket]: [...(next[current.bucket] || []), replacement] };
+    });
+  }, [duplicateQueue]);
+
+  const handleRemoveWardrobe = useCallback((bucket, index) => {
+    setWardrobe((prev) => ({ ...prev, [bucket]: (prev[bucket] || []).filter((_, i) => i !== index) }));
+  }, [setWardrobe]);
+
+  const [editingItemId, setEditingItemId] = useState(null);
+  const editingItem = editingItemId ? itemsById.get(editingItemId) : null;
+
+  // Swap an item's image in place; its id (and so results, outfits, plans) stays the same
+  const handleReplaceItemFile = useCallback((id, file) => {
+    setWardrobe((prev) => Object.fromEntries(
+      Object.entries(prev).map(([bucket, items]) => [bucket, items.map((item) => (item.id === id ? { ...item, file } : item))])
+    ));
+  }, []);
+
+  const handleUpdateItemMeta = useCallback((id, meta) => {
+    setWardrobe((prev) => Object.fromEntries(
+      Object.entries(prev).map(([bucket, items]) => [bucket, items.map((item) => (item.id === id ? { ...item, meta } : item))])
+    ));
+  }, []);
+
+  const handleClearWardrobe = useCallback(async () => {
+    if (!window.confirm("Remove all items from your wardrobe? This cannot be undone.")) return;
+    try {
+      await clearWardrobe();
+      setWardrobe(emptyWardrobe(BUCKETS));
+      setWardrobeResults(null);
+      setComboCompare([]);
+      push({ title: "Wardrobe cleared", variant: "ok" });
+    } catch (e) {
+      push({ title: "Couldn't clear wardrobe", message: String(e.message || e), variant: "error" });
+    }
+  }, [push]);
+
+  // Wardrobe archive export/import
+  const archiveInputRef = useRef(null);
+  const [archiveImport, setArchiveImport] = useState(null); // parsed archive awaiting merge/replace
+
+  const handleExportArchive = useCallback(async () => {
+    try {
+      const blob = await exportWardrobeArchive(wardrobe, BUCKETS);
+      downloadBlob(blob, `wardrobe-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (e) {
+      push({ title: "Export failed", message: String(e.message || e), variant: "error" });
+    }
+  }, [wardrobe, push]);
+
+  const handleArchiveFile = useCallback(async (file) => {
+    try {
+      const result = await readWardrobeArchive(file, { buckets: BUCKETS, validate: validateFile });
+      setArchiveImport({ name: file.name, ...result });
+    } catch (e) {
+      push({ title: "Import failed", message: String(e.message || e), variant: "error" });
+    }
+  }, [push]);
+
+  // Merged pieces go through the same duplicate check as uploads: copies of a
+  // photo already in the wardrobe are skipped, near-duplicates join the queue
+  const applyArchiveImport = useCallback(async (mode) => {
+    const { wardrobe: next, added, duplicates } = applyArchive(wardrobe, archiveImport.wardrobe, BUCKETS, mode);
+    requestPersistentStorage();
+    setArchiveImport(null);
+    if (mode === "replace") {
+      setWardrobe(next);
+      setWardrobeResults(null);
+      setComboCompare([]);
+      push({ title: "Wardrobe replaced", message: `${added} ${added === 1 ? "item" : "items"} added`, variant: "ok" });
+      return;
+    }
+
+    const existing = BUCKETS.flatMap((b) => (wardrobe[b] || []).map((item) => ({ item, bucket: b })));
+    let merged = 0;
+    let similar = 0;
+    let skipped = duplicates;
+    setCheckingUploads(true);
+    try {
+      for (const bucket of BUCKETS) {
+        const incoming = next[bucket].slice((wardrobe[bucket] || []).length);
+        if (!incoming.length) continue;
+        const { accepted, exact, near } = await checkDuplicates(incoming, bucket, existing);
+        existing.push(...accepted.map((item) => ({ item, bucket })));
+        if (accepted.length) setWardrobe((prev) => ({ ...prev, [bucket]: [...(prev[bucket] || []), ...accepted] }));
+        if (near.length) setDuplicateQueue((prev) => [...prev, ...near.map((d) => ({ ...d, bucket }))]);
+        merged += accepted.length;
+        similar += near.length;
+        skipped += exact.length;
+      }
+      push({
+        title: "Wardrobe merged",
+        message: [
+          `${merged} ${merged === 1 ? "item" : "items"} added`,
+          skipped && `${skipped} already in your wardrobe`,
+          similar && `${similar} to review as possible duplicates`,
+        ].filter(Boolean).join(", "),
+        variant: "ok",
+      });
+    } catch (e) {
+      push({ title: "Merge failed", message: String(e.message || e), variant: "error" });
+    } finally {
+      setCheckingUploads(false);
+    }
+  }, [wardrobe, archiveImport, push]);
+
+  const previewUrl = useCallback((api, item) => /^(data:|blob:|https?:)/.test(item.preview_url || "")
+    ? item.preview_url
+    : `${api}${item.preview_url}`.replace(/\/+$/, ""), []);
+
+  // Collage export
+  const [exportJob, setExportJob] = useState(null);
+
+  const handleExportCombo = useCallback((combo, index) => {
+    const ex = combo.explain || {};
+    const details = [
+      combo.score != null && `Score ${Math.round(combo.score * 100)}%`,
+      ex.temp_c != null && `${Number(ex.temp_c).toFixed(1)}°C`,
+      ex.wx_hint && `${humanize(ex.wx_hint)} weather`,
+    ].filter(Boolean);
+    setExportJob({
+      title: `Export Outfit #${index + 1}`,
+      filename: `outfit-${index + 1}`,
+      images: combo.parts.map((p) => {
+        const item = itemsById.get(p.itemId);
+        return { source: item?.file, label: item?.meta?.name || humanize(p.slot) };
+      }),
+      caption: { title: `Outfit #${index + 1}`, details },
+    });
+  }, [itemsById]);
+
+  const handleExportCatalog = useCallback(() => {
+    if (!anchors.length || !catalogResults?.items?.length) return;
+    const items = catalogResults.items;
+    setExportJob({
+      title: "Export Matches",
+      filename: "catalog-matches",
+      defaultLayout: "hero",
+      countOptions: [3, 5, 8].filter((n, i) => i === 0 || n <= items.length),
+      pinned: anchors.length,
+      images: [
+        ...anchors.map((a, i) => ({ source: a.file, label: anchors.length > 1 ? `Your piece ${i + 1}` : "Your piece" })),
+        ...items.map((item) => ({ source: previewUrl(apiBase, item), label: item.title || humanize(item.bucket || item.category) })),
+      ],
+      caption: {
+        title: "Catalog matches",
+        details: [
+          (catalogResults.anchor_colors || [catalogResults.anchor_color]).some(Boolean) &&
+            `Anchor ${(catalogResults.anchor_colors || [catalogResults.anchor_color]).filter(Boolean).join(", ")}`,
+          `Top score ${items[0].score?.toFixed?.(3)}`,
+        ].filter(Boolean),
+      },
+    });
+  }, [anchors, catalogResults, apiBase, previewUrl]);
+
+  // API calls
+
+  // ---- Live Weather (frontend) ----
+  const getBrowserLocation = useCallback(() => {
+    return new Promise((resolve, reject) => {
+      if (!("geolocation" in navigator)) return reject(new Error("Geolocation not available"));
+      const opts = { enableHighAccuracy: false, timeout: 8000, maximumAge: 600000 };
+      navigator.geolocation.getCurrentPosition(
+        (pos) => resolve({ lat: Number(pos.coords.latitude.toFixed(4)), lon: Number(pos.coords.longitude.toFixed(4)) }),
+        (err) => reject(new Error(err?.message || "Location permission denied")),
+        opts
+      );
+    });
+  }, []);
+
+  const fetchLiveWeather = useCallback(async (loc, includeAnalytics = false) => {
+    try {
+      // Fetch current weather
+      const weatherData = await api.weather(loc);
+
+      // Fetch analytics if requested
+      let analytics = null;
+      if (includeAnalytics) {
+        try {
+          analytics = await api.weatherAnalytics(loc, { retries: 0 });
+        } catch (e) {
+          console.warn("Weather analytics fetch failed:", e);
+        }
+      }
+
+      return { weather: weatherData, analytics };
+    } catch (e) {
+      throw new Error(e.detail ? `Weather API: ${e.detail}` : e.message || "Weather fetch failed");
+    }
+  }, [api]);
+
+  // Weather is cached on the place it was fetched for; `force` skips the cache
+  const loadPlaceWeather = useCallback(async (place, { force = false } = {}) => {
+    if (!force && isWeatherFresh(place)) return place;
+    const result = await fetchLiveWeather(place, true);
+    const patch = { weather: result.weather, analytics: result.analytics || place.analytics, fetchedAt: Date.now() };
+    setPlaces((prev) => prev.map((p) => (p.id === place.id ? { ...p, ...patch } : p)));
+    return { ...place, ...patch };
+  }, [fetchLiveWeather, setPlaces]);
+
+  // The device position becomes (or moves) the "Current location" place
+  const locateDevice = useCallback(async () => {
+    const loc = await getBrowserLocation();
+    const existing = places.find((p) => p.source === "gps");
+    const moved = existing && (existing.lat !== loc.lat || existing.lon !== loc.lon);
+    const place = existing ? { ...existing, ...loc, fetchedAt: moved ? null : existing.fetchedAt } : createPlace("Current location", loc, "gps");
+    setPlaces((prev) => (existing ? prev.map((p) => (p.id === place.id ? place : p)) : [...prev, place]));
+    setActivePlaceId(place.id);
+    return place;
+  }, [getBrowserLocation, places, setPlaces, setActivePlaceId]);
+
+  const refreshWeather = useCallback(async (getPlace) => {
+    try {
+      const place = await getPlace();
+      const { weather: wx } = await loadPlaceWeather(place, { force: true });
+      setWeatherHint(wx.hint || "mild");
+      setWeatherError("");
+      push({
+        title: "Weather updated",
+        message: `${place.name} • ${wx.temp_c?.toFixed?.(1) || "?"}°C • Feels ${wx.feels_like?.toFixed?.(1) || "?"}°C • ${wx.hint}`,
+        variant: "ok",
+      });
+    } catch (e) {
+      setWeatherError(String(e.message || e));
+      push({ title: "Weather failed", message: String(e.message || e), variant: "error" });
+    }
+  }, [loadPlaceWeather, setWeatherHint, push]);
+
+  const handleAddPlace = useCallback((name, loc, source) => {
+    const place = createPlace(name, loc, source);
+    setPlaces((prev) => [...prev, place]);
+    setActivePlaceId(place.id);
+    setWeatherError("");
+  }, [setPlaces, setActivePlaceId]);
+
+  const handleRenamePlace = useCallback((id, name) => {
+    if (name.trim()) setPlaces((prev) => prev.map((p) => (p.id === id ? { ...p, name: name.trim() } : p)));
+  }, [setPlaces]);
+
+  const handleRemovePlace = useCallback((id) => {
+    const rest = places.filter((p) => p.id !== id);
+    setPlaces(rest);
+    if (id === activePlaceId) setActivePlaceId(rest[0]?.id ?? null);
+  }, [places, activePlaceId, setPlaces, setActivePlaceId]);
+
+  const handleSelectPlace = useCallback((id) => {
+    setActivePlaceId(id);
+    setWeatherError("");
+  }, [setActivePlaceId]);
+
+  // Auto fetch on toggle / health change / place switch
+  useEffect(() => {
+    (async () => {
+      if (!autoWeather || !health.ok) return;
+      try {
+        const place = activePlace || await locateDevice().catch((e) => {
+          throw new Error(`${e.message || e}. Add a place to use weather without location access.`);
+        });
+        const { weather: wx } = await loadPlaceWeather(place);
+        setWeatherError("");
+        // Use enhanced hint if available
+        const hint = wx.hint || "mild";
+        if (!weatherHint || weatherHint === "mild") setWeatherHint(hint);
+      } catch (e) {
+        setWeatherError(String(e.message || e));
+      }
+    })();
+  }, [autoWeather, apiBase, health.ok, activePlaceId]);
+
+  // One request per kind is in flight at a time; starting a new one cancels the
+  // old one of the same kind only, so e.g. a catalog search never aborts the planner
+  const requestsRef = useRef(new Map()); // kind -> AbortController
+  const beginRequest = useCallback((kind) => {
+    requestsRef.current.get(kind)?.abort();
+    const ctrl = new AbortController();
+    requestsRef.current.set(kind, ctrl);
+    return ctrl.signal;
+  }, []);
+  useEffect(() => () => requestsRef.current.forEach((ctrl) => ctrl.abort()), []);
+
+  // ---- Feedback ----
+  const [feedback, setFeedback] = useLocalStorage("feedback", []);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const preferences = useMemo(() => buildPreferences(feedback), [feedback]);
+  const votes = useMemo(() => voteMap(feedback), [feedback]);
+  const resultParamsRef = useRef({ catalog: null, combo: null }); // request params behind the visible results
+  const feedbackOffRef = useRef(null); // api client whose backend has no /feedback endpoint
+
+  const handleVote = useCallback((kind, target, vote) => {
+    const entry = createFeedback(kind, vote, target, resultParamsRef.current[kind]);
+    const clearing = votes.get(entry.key) === vote;
+    setFeedback((list) => applyVote(list, entry));
+    if (clearing || feedbackOffRef.current === api) return;
+    const { id: _id, key: _key, ...payload } = entry;
+    api.feedback(payload).catch((e) => {
+      if ([404, 405, 501].includes(e.status)) feedbackOffRef.current = api;
+      else console.warn("Feedback not delivered:", e);
+    });
+  }, [api, votes, setFeedback]);
+
+  // Wardrobe anchors never match against their own buckets
+  const catalogTypesFor = useCallback((list) => {
+    const own = new Set(list.map((a) => a.source?.bucket).filter(Boolean));
+    if (!own.size) return Array.from(allowTypesSet);
+    const types = Array.from(allowTypesSet).filter((b) => !own.has(b));
+    return types.length ? types : BUCKETS.filter((b) => !own.has(b));
+  }, [allowTypesSet]);
+
+  // ---- History ----
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+
+  useEffect(() => {
+    loadHistory()
+      .then(setHistory)
+      .catch((e) => console.warn("Couldn't load history:", e));
+  }, []);
+
+  const recordHistory = useCallback(async (run) => {
+    try {
+      const entry = await createHistoryEntry(run);
+      const stale = await addHistory(entry);
+      setHistory((prev) => [entry, ...prev.filter((e) => !stale.includes(e.id))]);
+    } catch (e) {
+      if (isQuotaError(e)) push({ title: "History not saved", message: "Browser storage is full", variant: "error" });
+      else console.warn("Couldn't save history:", e);
+    }
+  }, [push]);
+
+  const catalogParams = useCallback(
+    (allowTypes) => ({ allowTypes, perBucket, topk, colorWeight, styleWeight, diversityWeight, colorMode, mergeMode }),
+    [perBucket, topk, colorWeight, styleWeight, diversityWeight, colorMode, mergeMode]
+  );
 
-  const runCatalogRecommendation = useCallback(async () => {
-    if (!anchorFile) return setError("Please upload an image first");
-    if (allowTypesSet.size === 0) {
+  const requestCatalog = useCallback(async (list, params) => {
+    if (!list.length) return setError("Please upload an image first");
+    if (params.allowTypes.length === 0) {
       setIsLoading(false);
       setError("Select at least one category.");
       return;
@@ -460,88 +3346,354 @@ useEffect(() => {
     setIsLoading(true);
     setError("");
     setCatalogResults(null);
+    setCatalogCompare([]);
 
+    const signal = beginRequest("recommend");
     try {
-      const formData = new FormData();
-      formData.append("image", anchorFile);
-      const params = new URLSearchParams({
-        allow_types: allowTypesString,
-        per_bucket: String(perBucket),
-        topk: String(topk),
-        color_weight: String(colorWeight),
-        style_weight: String(styleWeight),
-        diversity_weight: String(diversityWeight),
-        anchor_color_mode: String(colorMode),
-        filter_same_bucket: "true",
-      });
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000);
-      const res = await fetch(`${apiBase}/recommend?${params}`, { method: "POST", body: formData, signal: controller.signal });
-      clearTimeout(timeoutId);
-      if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
-      const json = await res.json();
-      setCatalogResults(json);
+      const responses = await Promise.all(list.map((a) => api.recommend(a.file, params, { signal })));
+      const json = mergeAnchorResponses(responses, params.mergeMode, params.topk);
+      resultParamsRef.current.catalog = params;
+      setCatalogResults(rerankCatalog(json, preferences));
+      recordHistory({ tab: "catalog", params, response: json, anchors: list });
       push({ title: "Recommendations ready", message: `${json.items?.length || 0} items`, variant: "ok" });
     } catch (e) {
+      if (isAbortError(e)) return;
       setError(e.message || "Failed to get recommendations");
       push({ title: "Recommendation failed", message: String(e.message || e), variant: "error" });
     } finally {
-      setIsLoading(false);
+      if (!signal.aborted) setIsLoading(false);
+    }
+  }, [api, push, beginRequest, preferences, recordHistory]);
+
+  const runCatalogRecommendation = useCallback(
+    () => requestCatalog(anchors, catalogParams(catalogTypesFor(anchors))),
+    [requestCatalog, catalogParams, anchors, catalogTypesFor]
+  );
+
+  const handleFindMatches = useCallback((itemId) => {
+    const item = itemsById.get(itemId);
+    const bucket = BUCKETS.find((b) => wardrobe[b]?.some((i) => i.id === itemId));
+    if (!item || !bucket) return;
+    const next = [{ id: newItemId(), file: item.file, source: { itemId, bucket } }];
+    setAnchors(next);
+    setTab("catalog");
+    requestCatalog(next, catalogParams(catalogTypesFor(next)));
+  }, [itemsById, wardrobe, setTab, requestCatalog, catalogParams, catalogTypesFor]);
+
+  // Display label for an anchor: the wardrobe item's name, else the file name
+  const anchorLabel = useCallback((a) => {
+    const item = a.source && itemsById.get(a.source.itemId);
+    return item ? itemLabel(item, a.source.bucket, wardrobe[a.source.bucket].indexOf(item)) : a.file.name;
+  }, [itemsById, wardrobe]);
+
+  // Anchors restored from history only keep their wardrobe link if the item still exists
+  const anchorsFromHistory = useCallback((entry) => historyAnchors(entry).map(({ file, source }) => ({
+    id: newItemId(),
+    file,
+    source: source && itemsById.has(source.itemId) ? source : null,
+  })), [itemsById]);
+
+  // Comparison view
+  const partLabel = useCallback((p) => itemLabel(itemsById.get(p.itemId), p.slot, p.idx), [itemsById]);
+
+  const compareView = useMemo(() => {
+    if (compareOpen === "combo" && wardrobeResults) {
+      const combos = comboCompare.map((i) => wardrobeResults.items[i]);
+      return {
+        title: "Compare Outfits",
+        columns: comboCompare.map((i, n) => ({
+          key: i,
+          heading: `Outfit #${i + 1}`,
+          images: combos[n].parts.slice(0, 4).map((p) => ({ source: itemsById.get(p.itemId)?.file, label: partLabel(p) })),
+        })),
+        rows: comboRows(combos, BUCKETS, partLabel),
+        onRemove: (key) => setComboCompare((sel) => sel.filter((i) => i !== key)),
+      };
+    }
+    if (compareOpen === "catalog" && catalogResults) {
+      const items = catalogCompare.map((i) => catalogResults.items[i]);
+      return {
+        title: "Compare Items",
+        columns: catalogCompare.map((i, n) => ({
+          key: i,
+          heading: items[n].title || humanize(items[n].category || "item"),
+          images: [{ source: previewUrl(apiBase, items[n]), label: items[n].title || items[n].category }],
+        })),
+        rows: catalogRows(items),
+        onRemove: (key) => setCatalogCompare((sel) => sel.filter((i) => i !== key)),
+      };
     }
-  }, [anchorFile, allowTypesString, perBucket, topk, colorWeight, styleWeight, diversityWeight, colorMode, apiBase, push, allowTypesSet.size]);
+    return null;
+  }, [compareOpen, wardrobeResults, comboCompare, catalogResults, catalogCompare, itemsById, partLabel, previewUrl, apiBase]);
 
-  const runWardrobeRecommendation = useCallback(async () => {
-    if (totalWardrobeItems < 2) return setError("Add at least 2 clothing items");
-    if (BUCKETS.filter((b) => (wardrobe[b]?.length || 0) > 0).length < 2) return setError("Use at least 2 categories");
+  const compareBar = tab === "wardrobe" && comboCompare.length
+    ? { kind: "combo", count: comboCompare.length, clear: () => setComboCompare([]) }
+    : tab === "catalog" && catalogCompare.length
+      ? { kind: "catalog", count: catalogCompare.length, clear: () => setCatalogCompare([]) }
+      : null;
+
+  const wardrobeProblem = wardrobeProblemOf(wardrobe);
+
+  // `items` is wardrobe-shaped; history re-runs pass the subset that was originally sent
+  const requestWardrobe = useCallback(async (items, params) => {
+    const problem = wardrobeProblemOf(items);
+    if (problem) return setError(problem);
 
     setIsLoading(true);
     setError("");
     setWardrobeResults(null);
+    setComboCompare([]);
+
+    const signal = beginRequest("recommend");
+    try {
+      const json = withItemIds(await api.wardrobeRecommend({ ...uploadPayload(items, BUCKETS), ...params }, { signal }), items);
+      resultParamsRef.current.combo = params;
+      setWardrobeResults(rerankCombos(json, preferences));
+      recordHistory({
+        tab: "wardrobe",
+        params,
+        response: json,
+        itemIds: Object.fromEntries(BUCKETS.map((b) => [b, (items[b] || []).map((i) => i.id)])),
+      });
+      push({ title: "Outfits ready", message: `${json.items?.length || 0} combos`, variant: "ok" });
+    } catch (e) {
+      if (isAbortError(e)) return;
+      setError(e.message || "Failed to generate outfits");
+      push({ title: "Wardrobe failed", message: String(e.message || e), variant: "error" });
+    } finally {
+      if (!signal.aborted) setIsLoading(false);
+    }
+  }, [api, push, beginRequest, preferences, recordHistory]);
+
+  const runWardrobeRecommendation = useCallback(
+    () => requestWardrobe(wardrobe, { topk, weatherHint, coords: autoWeather ? coords : null, weather: liveWeather }),
+    [requestWardrobe, wardrobe, topk, weatherHint, autoWeather, coords, liveWeather]
+  );
+
+  // Show a stored response without calling the API, ranked by current feedback
+  // like a live run. Catalog and wardrobe runs share the loading state, so
+  // restoring cancels either one, but never the planner or a trip.
+  const restoreHistory = useCallback((entry) => {
+    beginRequest("recommend");
+    setIsLoading(false);
+    setError("");
+    if (entry.tab === "catalog") {
+      setAnchors(anchorsFromHistory(entry));
+      if (entry.params?.mergeMode) setMergeMode(entry.params.mergeMode);
+      setCatalogCompare([]);
+      resultParamsRef.current.catalog = entry.params;
+      setCatalogResults(rerankCatalog(entry.response, preferences));
+    } else {
+      setComboCompare([]);
+      resultParamsRef.current.combo = entry.params;
+      setWardrobeResults(rerankCombos(entry.response, preferences));
+    }
+    setTab(entry.tab);
+    setShowHistory(false);
+  }, [beginRequest, anchorsFromHistory, setMergeMode, setTab, preferences]);
+
+  const rerunHistory = useCallback((entry) => {
+    setTab(entry.tab);
+    setShowHistory(false);
+    if (entry.tab === "catalog") {
+      const next = anchorsFromHistory(entry);
+      setAnchors(next);
+      requestCatalog(next, { mergeMode: "merged", ...entry.params });
+    } else {
+      // Items removed since the original run are left out
+      const items = Object.fromEntries(BUCKETS.map((b) => [b, (wardrobe[b] || []).filter((i) => entry.itemIds?.[b]?.includes(i.id))]));
+      requestWardrobe(items, entry.params);
+    }
+  }, [anchorsFromHistory, wardrobe, setTab, requestCatalog, requestWardrobe]);
 
+  const handleDeleteHistory = useCallback(async (id) => {
     try {
-      const formData = new FormData();
-      BUCKETS.forEach((bucket) => (wardrobe[bucket] || []).forEach((f) => formData.append(bucket, f)));
-      formData.append("topk", String(topk));
-      formData.append("weather_hint", weatherHint || "mild"); // "hot" | "cold" | "rain" | "mild"
-      formData.append("weather_hint", weatherHint || "mild");
-
-      if (autoWeather && coords) {
-        formData.append("lat", String(coords.lat));
-        formData.append("lon", String(coords.lon));
+      await deleteHistory(id);
+      setHistory((prev) => prev.filter((e) => e.id !== id));
+    } catch (e) {
+      push({ title: "Couldn't delete entry", message: String(e.message || e), variant: "error" });
+    }
+  }, [push]);
+
+  const handleClearHistory = useCallback(async () => {
+    if (!window.confirm("Delete all recommendation history?")) return;
+    try {
+      await clearHistory();
+      setHistory([]);
+    } catch (e) {
+      push({ title: "Couldn't clear history", message: String(e.message || e), variant: "error" });
+    }
+  }, [push]);
+
+  // ---- Week planner ----
+  const [weekPlan, setWeekPlan] = useLocalStorage("weekPlan", null); // { createdAt, days: [...] }
+  const [planning, setPlanning] = useState(null); // { day } while requests are running
+
+  const fetchDayCombos = useCallback(async (day, signal) => {
+    const json = await api.wardrobeRecommend({
+      ...uploadPayload(wardrobe, BUCKETS),
+      topk: Math.max(topk, 12),
+      weatherHint: day.weather?.hint || weatherHint,
+      weather: day.weather,
+    }, { signal });
+    return rerankCombos(withItemIds(json, wardrobe), preferences).items;
+  }, [api, wardrobe, topk, weatherHint, preferences]);
+
+  const generateWeekPlan = useCallback(async () => {
+    if (wardrobeProblem) return setError(wardrobeProblem);
+    setError("");
+    const signal = beginRequest("planner");
+    setPlanning({ day: 0 });
+    try {
+      let weather = liveWeather;
+      let place = activePlace;
+      try {
+        place = await loadPlaceWeather(activePlace || await locateDevice());
+        weather = place.weather;
+      } catch (e) {
+        console.warn("Planner weather unavailable:", e);
+      }
+      let daily = null;
+      if (place) {
+        try {
+          daily = await api.forecast(place, { signal });
+        } catch (e) {
+          if (isAbortError(e)) throw e;
+          console.warn("Planner forecast unavailable:", e);
+        }
       }
 
-      if (liveWeather) {
-        formData.append("weather_json", JSON.stringify({
-          temp_c: liveWeather.temp_c,
-          feels_like: liveWeather.feels_like || liveWeather.temp_c,
-          precip_mm: liveWeather.precip_mm,
-          wind_kph: liveWeather.wind_kph,
-          humidity: liveWeather.humidity,
-          code: liveWeather.code,
-          hint: liveWeather.hint,
-          temp_trend: liveWeather.temp_trend,
-          rain_likelihood: liveWeather.rain_likelihood
-        }));
+      // Pinned days survive a re-plan as long as they're still in the window
+      const pinned = new Map((weekPlan?.days || []).filter((d) => d.pinned && d.outfit).map((d) => [d.date, d]));
+      const days = forecastDays(daily, weather).map((d) => (
+        pinned.has(d.date)
+          ? { ...pinned.get(d.date), weather: d.weather, estimated: d.estimated }
+          : { ...d, pinned: false, outfit: null, alternatives: [] }
+      ));
+      const plan = await buildPlan(days, {
+        fetchCombos: (day) => fetchDayCombos(day, signal),
+        onProgress: (i) => setPlanning({ day: i }),
+      });
+      setWeekPlan({ createdAt: Date.now(), days: plan });
+      const failed = plan.filter((d) => d.error).length;
+      push(failed
+        ? { title: `${failed} ${failed === 1 ? "day" : "days"} couldn't be planned`, message: "Regenerate those days to try again", variant: "error" }
+        : { title: "Week planned", message: `${plan.filter((d) => d.outfit).length} of ${plan.length} days filled`, variant: "ok" });
+    } catch (e) {
+      if (isAbortError(e)) return;
+      setError(e.message || "Failed to plan the week");
+      push({ title: "Planner failed", message: String(e.message || e), variant: "error" });
+    } finally {
+      if (!signal.aborted) setPlanning(null);
+    }
+  }, [api, wardrobeProblem, beginRequest, liveWeather, activePlace, locateDevice, loadPlaceWeather, weekPlan, fetchDayCombos, setWeekPlan, push]);
+
+  // ---- Trip packing ----
+  const [trip, setTrip] = useLocalStorage("trip", null); // { destination, start, end, outfitsPerDay, createdAt, days, packed }
+  const [packingTrip, setPackingTrip] = useState(null); // { step, total } while requests are running
+
+  const generateTrip = useCallback(async (draft) => {
+    if (wardrobeProblem) return setError(wardrobeProblem);
+    setError("");
+    const signal = beginRequest("trip");
+    setPackingTrip({ step: 0, total: 1 });
+    try {
+      let weather = null;
+      let daily = null;
+      try {
+        ({ weather } = await fetchLiveWeather(draft.destination));
+      } catch (e) {
+        console.warn("Trip weather unavailable:", e);
+      }
+      try {
+        daily = await api.forecast(draft.destination, { signal });
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        console.warn("Trip forecast unavailable:", e);
       }
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 90000);
-      const res = await fetch(`${apiBase}/wardrobe/recommend`, { method: "POST", body: formData, signal: controller.signal });
-      clearTimeout(timeoutId);
-      if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
-      const json = await res.json();
-      setWardrobeResults(json);
-      push({ title: "Outfits ready", message: `${json.items?.length || 0} combos`, variant: "ok" });
+      const days = tripDays(draft, daily, weather);
+      const groups = [...weatherGroups(days)];
+      const candidates = new Map();
+      for (const [i, [key, day]] of groups.entries()) {
+        setPackingTrip({ step: i, total: groups.length });
+        candidates.set(key, await fetchDayCombos(day, signal));
+      }
+      const schedule = buildCapsule(days, (day) => candidates.get(weatherKey(day)) || [], draft.outfitsPerDay);
+      setTrip({ ...draft, createdAt: Date.now(), days: schedule, packed: [] });
+      const pieces = packingList(schedule, BUCKETS).reduce((n, g) => n + g.items.length, 0);
+      push({
+        title: "Trip packed",
+        message: `${pieces} pieces for ${schedule.reduce((n, d) => n + d.outfits.length, 0)} outfits in ${draft.destination.name}`,
+        variant: "ok",
+      });
     } catch (e) {
-      setError(e.message || "Failed to generate outfits");
-      push({ title: "Wardrobe failed", message: String(e.message || e), variant: "error" });
+      if (isAbortError(e)) return;
+      setError(e.message || "Failed to plan the trip");
+      push({ title: "Trip planning failed", message: String(e.message || e), variant: "error" });
     } finally {
-      setIsLoading(false);
+      if (!signal.aborted) setPackingTrip(null);
+    }
+  }, [api, wardrobeProblem, beginRequest, fetchLiveWeather, fetchDayCombos, setTrip, push]);
+
+  const toggleTripPacked = useCallback((itemId) => {
+    setTrip((t) => t && {
+      ...t,
+      packed: t.packed.includes(itemId) ? t.packed.filter((id) => id !== itemId) : [...t.packed, itemId],
+    });
+  }, [setTrip]);
+
+  const updatePlanDay = useCallback((index, patch) => {
+    setWeekPlan((prev) => prev && { ...prev, days: prev.days.map((d, i) => (i === index ? { ...d, ...patch } : d)) });
+  }, [setWeekPlan]);
+
+  const regeneratePlanDay = useCallback(async (index) => {
+    const day = weekPlan?.days?.[index];
+    if (!day) return;
+    const signal = beginRequest("planner");
+    setPlanning({ day: index });
+    try {
+      const candidates = await fetchDayCombos(day, signal);
+      const others = weekPlan.days.filter((_, i) => i !== index);
+      const exclude = day.outfit ? [outfitKey(day.outfit.parts)] : [];
+      const pick = pickOutfit(candidates, others, { exclude }) || pickOutfit(candidates, others);
+      updatePlanDay(index, { outfit: pick ? planCombo(pick) : null, alternatives: candidates.map(planCombo), error: null });
+    } catch (e) {
+      if (isAbortError(e)) return;
+      updatePlanDay(index, { error: e.message || String(e) });
+      push({ title: "Couldn't regenerate day", message: String(e.message || e), variant: "error" });
+    } finally {
+      if (!signal.aborted) setPlanning(null);
     }
-  }, [wardrobe, totalWardrobeItems, topk, apiBase, push]);
+  }, [weekPlan, beginRequest, fetchDayCombos, updatePlanDay, push]);
+
+  // Step through the day's other candidates, skipping outfits worn elsewhere in the week
+  const nextPlanAlternative = useCallback((index) => {
+    const day = weekPlan?.days?.[index];
+    if (!day?.alternatives?.length) return;
+    const others = weekPlan.days.filter((_, i) => i !== index);
+    const taken = new Set(others.filter((d) => d.outfit).map((d) => outfitKey(d.outfit.parts)));
+    const keys = day.alternatives.map((c) => outfitKey(c.parts));
+    const current = day.outfit ? keys.indexOf(outfitKey(day.outfit.parts)) : -1;
+    for (let step = 1; step <= keys.length; step++) {
+      const i = (current + step) % keys.length;
+      if (!taken.has(keys[i])) return updatePlanDay(index, { outfit: day.alternatives[i] });
+    }
+  }, [weekPlan, updatePlanDay]);
+
+  // Replace one piece of a planned outfit with the next item from the same bucket
+  const swapPlanPart = useCallback((index, partIndex) => {
+    const day = weekPlan?.days?.[index];
+    const part = day?.outfit?.parts?.[partIndex];
+    const pool = wardrobe[part?.slot] || [];
+    if (pool.length < 2) return;
+    const next = pool[(pool.findIndex((item) => item.id === part.itemId) + 1) % pool.length];
+    const parts = day.outfit.parts.map((p, i) => (i === partIndex ? { ...p, itemId: next.id } : p));
+    updatePlanDay(index, { outfit: { ...day.outfit, parts, score: null, explain: null } });
+  }, [weekPlan, wardrobe, updatePlanDay]);
+
+  const planUsage = useMemo(() => usageCounts(weekPlan?.days || []), [weekPlan]);
 
-  const previewUrl = useCallback((api, item) => `${api}${item.preview_url}`.replace(/\/+$/, ""), []);
 
   // Enhanced skeletons
   const SkeletonGrid = ({ count = 8, size = "square" }) => (
@@ -556,130 +3708,6 @@ useEffect(() => {
     </div>
   );
 
-  // Enhanced results components
-  const CatalogResults = ({ results }) => {
-    if (!results || !results.items?.length) return <div className="text-sm text-slate-500">No recommendations found</div>;
-
-    return (
-      <div className="space-y-6">
-        {results.anchor_color && (
-          <motion.div 
-            initial={{ opacity: 0, y: 10 }}
-            animate={{ opacity: 1, y: 0 }}
-            className="flex items-center gap-3 rounded-2xl border border-violet-200 bg-violet-50/50 p-4"
-          >
-            <Palette className="h-5 w-5 text-violet-600" />
-            <div className="flex items-center gap-2 text-sm text-violet-800">
-              <span className="inline-flex h-5 w-5 rounded-full border-2 border-white shadow-sm" style={{ background: results.anchor_color }} />
-              <span>Detected color: <span className="font-semibold">{results.anchor_color}</span></span>
-            </div>
-          </motion.div>
-        )}
-        <div className={cn("grid gap-6", density === "compact" ? "grid-cols-2 md:grid-cols-3 lg:grid-cols-4" : "grid-cols-1 sm:grid-cols-2 lg:grid-cols-3")}>
-          {results.items.map((item, idx) => (
-            <motion.div 
-              key={`${item.item_id}-${idx}`} 
-              initial={{ opacity: 0, y: 20 }} 
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: idx * 0.05 }}
-            >
-              <Card className="p-4 group" hover>
-                <div className={cn("overflow-hidden rounded-2xl", density === "compact" ? "aspect-square" : "aspect-[4/3]")}>
-                  <ProgressiveImg 
-                    src={previewUrl(apiBase, item)} 
-                    alt={item.title || item.category} 
-                    className="h-full w-full rounded-2xl group-hover:scale-110 transition-transform duration-500" 
-                  />
-                </div>
-                <div className="mt-4 space-y-2">
-                  <div className="flex items-center justify-between">
-                    <div className="truncate pr-2 font-medium text-slate-900">{item.title || humanize(item.category)}</div>
-                    <Tag color="violet">{humanize(item.bucket || item.category)}</Tag>
-                  </div>
-                  <div className="flex items-center gap-1 text-xs text-slate-500">
-                    <Star className="h-3 w-3 fill-amber-400 text-amber-400" />
-                    <span>{item.score?.toFixed?.(3)}</span>
-                  </div>
-                </div>
-              </Card>
-            </motion.div>
-          ))}
-        </div>
-      </div>
-    );
-  };
-
-  const WardrobeResults = ({ results }) => {
-    if (!results || !results.items?.length) {
-      return <div className="text-sm text-slate-500">No outfit combinations found</div>;
-    }
-
-    return (
-      <div className={cn("grid gap-6", density === "compact" ? "grid-cols-2 lg:grid-cols-3" : "grid-cols-1 md:grid-cols-2")}>
-        {results.items.map((combo, index) => (
-          <motion.div
-            key={index}
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: index * 0.1 }}
-          >
-            <Card className="p-4 group" hover>
-              <div className="grid grid-cols-2 gap-3">
-                {combo.parts.slice(0, 4).map((part, i) => (
-                  <div key={i} className="aspect-square overflow-hidden rounded-2xl">
-                    <FileImage
-                      file={wardrobe[part.slot]?.[part.idx]}
-                      alt={`${part.slot}-${part.idx}`}
-                      className="h-full w-full rounded-2xl group-hover:scale-110 transition-transform duration-500"
-                    />
-                  </div>
-                ))}
-              </div>
-              <div className="mt-4 space-y-2">
-                <div className="flex items-center justify-between">
-                  <div className="font-medium text-slate-900">Outfit #{index + 1}</div>
-                  <Tag color="emerald">{combo.parts.length} items</Tag>
-                </div>
-                <div className="flex items-center gap-1 text-xs text-slate-500">
-                  <Heart className="h-3 w-3 fill-rose-400 text-rose-400" />
-                  <span>{Math.round((combo.score || 0) * 100)}%</span>
-                  {combo.explain?.wx_hint && (
-                    <span className="ml-2 rounded-full bg-emerald-100 px-2 py-0.5 text-[10px] text-emerald-700">
-                      Season-ready
-                    </span>
-                  )}
-                  {(combo.explain?.fashion_rules?.violations?.length || 0) > 0 && (
-                    <MapPin className="ml-1 h-3 w-3 text-red-500" title="Check rule notes" />
-                  )}
-                </div>
-                {combo.explain && (
-                  <div className="text-[11px] text-slate-500 space-y-1">
-                    <div className="flex items-center justify-between">
-                      <span>Compatibility: {combo.explain.compat?.toFixed?.(2)}</span>
-                      <span>Weather: {combo.explain.weather?.toFixed?.(2)}</span>
-                    </div>
-                    {combo.explain.temp_c && (
-                      <div className="flex items-center gap-4">
-                        <span>Temp: {combo.explain.temp_c}°C</span>
-                        {combo.explain.rain_likelihood > 0 && (
-                          <span>Rain: {combo.explain.rain_likelihood}%</span>
-                        )}
-                        <span className="capitalize text-xs px-1.5 py-0.5 rounded bg-slate-100">
-                          {combo.explain.wx_hint || "mild"}
-                        </span>
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
-            </Card>
-          </motion.div>
-        ))}
-      </div>
-    );
-  };
-
-
   // Health indicator
   const HealthPill = () => (
     <motion.div 
@@ -708,6 +3736,109 @@ useEffect(() => {
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50">
       <ToastHost />
+      {showAnalytics && (
+        <WardrobeAnalyticsDialog wardrobe={wardrobe} history={history} colorsOf={colorsOfItem} onClose={() => setShowAnalytics(false)} />
+      )}
+      {showPlaces && (
+        <PlacesDialog
+          places={places}
+          activeId={activePlaceId}
+          onSelect={handleSelectPlace}
+          onAdd={handleAddPlace}
+          onRename={handleRenamePlace}
+          onRemove={handleRemovePlace}
+          onClose={() => setShowPlaces(false)}
+        />
+      )}
+      {duplicateQueue.length > 0 && (
+        <DuplicateDialog
+          entry={duplicateQueue[0]}
+          remaining={duplicateQueue.length - 1}
+          onResolve={resolveDuplicate}
+        />
+      )}
+      {archiveImport && (
+        <ArchiveImportDialog
+          pending={archiveImport}
+          currentCount={totalWardrobeItems}
+          onApply={applyArchiveImport}
+          onClose={() => setArchiveImport(null)}
+        />
+      )}
+      {showHistory && (
+        <HistoryDialog
+          history={history}
+          itemsById={itemsById}
+          busy={isLoading}
+          onRestore={restoreHistory}
+          onRerun={rerunHistory}
+          onDelete={handleDeleteHistory}
+          onClear={handleClearHistory}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+      {showPreferences && (
+        <PreferencesDialog
+          feedback={feedback}
+          itemsById={itemsById}
+          getPreviewUrl={(item) => previewUrl(apiBase, item)}
+          onRemove={(key) => setFeedback((list) => list.filter((f) => f.key !== key))}
+          onReset={() => {
+            if (!window.confirm("Forget all likes and dislikes?")) return;
+            setFeedback([]);
+            push({ title: "Preferences reset", variant: "ok" });
+          }}
+          onClose={() => setShowPreferences(false)}
+        />
+      )}
+      {compareView && compareView.columns.length > 0 && (
+        <CompareDialog
+          title={compareView.title}
+          columns={compareView.columns}
+          rows={compareView.rows}
+          onRemove={compareView.onRemove}
+          onClose={() => setCompareOpen(null)}
+        />
+      )}
+      {compareBar && !compareView && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="fixed bottom-6 left-1/2 z-30 flex -translate-x-1/2 items-center gap-3 rounded-full border border-slate-200 bg-white px-4 py-2 shadow-xl"
+        >
+          <Columns2 className="h-4 w-4 text-violet-600" />
+          <span className="text-sm text-slate-700">{compareBar.count} of {MAX_COMPARE} selected</span>
+          <Button size="sm" variant="primary" disabled={compareBar.count < 2} onClick={() => setCompareOpen(compareBar.kind)}>
+            Compare
+          </Button>
+          <button onClick={compareBar.clear} className="text-xs font-medium text-slate-500 hover:text-slate-700">
+            Clear
+          </button>
+        </motion.div>
+      )}
+      {editingItem && (
+        <ItemEditor
+          key={editingItem.id}
+          item={editingItem}
+          onClose={() => setEditingItemId(null)}
+          onSave={(file) => {
+            handleReplaceItemFile(editingItem.id, file);
+            setEditingItemId(null);
+            push({ title: "Item updated", variant: "ok" });
+          }}
+          onSaveMeta={(meta) => {
+            handleUpdateItemMeta(editingItem.id, meta);
+            setEditingItemId(null);
+          }}
+        />
+      )}
+      {exportJob && (
+        <ExportDialog
+          job={exportJob}
+          onClose={() => setExportJob(null)}
+          onError={(e) => push({ title: "Export failed", message: String(e.message || e), variant: "error" })}
+        />
+      )}
       
       {/* Enhanced Header */}
       <header className="sticky top-0 z-20 border-b border-slate-200/60 bg-white/80 backdrop-blur-xl">
@@ -725,9 +3856,10 @@ useEffect(() => {
               </div>
             </div>
             <HealthPill />
+            {mockConfig.enabled && <Tag color="violet">Mock API</Tag>}
           </div>
           
-          <div className="flex items-center gap-4">
+          <div className="relative flex items-center gap-4">
             <input
               className="w-80 rounded-2xl border border-slate-200 bg-white/70 px-4 py-2 text-sm backdrop-blur-sm transition-all focus:border-violet-300 focus:outline-none focus:ring-2 focus:ring-violet-200"
               placeholder="API base URL"
@@ -737,28 +3869,32 @@ useEffect(() => {
             <Button variant="secondary" icon={RefreshCw} onClick={fetchHealth}>
               Refresh
             </Button>
+            <Button variant="ghost" icon={Link2} onClick={copyShareLink} title="Copy link to these settings" />
+            <Button variant="ghost" icon={HistoryIcon} onClick={() => setShowHistory(true)} title="Recommendation history" />
+            <Button variant="ghost" icon={ThumbsUp} onClick={() => setShowPreferences(true)} title="Your preferences" />
+            <Button
+              variant={mockConfig.enabled ? "primary" : "ghost"}
+              icon={FlaskConical}
+              onClick={() => setShowMockPanel((v) => !v)}
+              aria-expanded={showMockPanel}
+              title="Mock backend"
+            />
+            {showMockPanel && <MockPanel config={{ ...DEFAULT_MOCK_CONFIG, ...mockConfig }} onChange={setMockConfig} />}
             
             <div className="flex rounded-2xl bg-slate-100/70 p-1">
-              <button
-                className={cn("rounded-xl px-4 py-2 text-sm font-medium transition-all", 
-                  tab === "catalog" 
-                    ? "bg-white text-slate-900 shadow-sm" 
-                    : "text-slate-600 hover:text-slate-900"
-                )}
-                onClick={() => setTab("catalog")}
-              >
-                Catalog Search
-              </button>
-              <button
-                className={cn("rounded-xl px-4 py-2 text-sm font-medium transition-all", 
-                  tab === "wardrobe" 
-                    ? "bg-white text-slate-900 shadow-sm" 
-                    : "text-slate-600 hover:text-slate-900"
-                )}
-                onClick={() => setTab("wardrobe")}
-              >
-                My Wardrobe
-              </button>
+              {TABS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  className={cn("rounded-xl px-4 py-2 text-sm font-medium transition-all", 
+                    tab === id 
+                      ? "bg-white text-slate-900 shadow-sm" 
+                      : "text-slate-600 hover:text-slate-900"
+                  )}
+                  onClick={() => setTab(id)}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
         </div>
@@ -779,48 +3915,198 @@ useEffect(() => {
           </motion.div>
         )}
 
-        {tab === "catalog" ? (
+        {tab === "planner" ? (
+          <Card className="p-6">
+            <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <SectionTitle icon={CalendarDays}>Week Planner</SectionTitle>
+                <div className="-mt-2 text-xs text-slate-500">
+                  One outfit per day from the forecast. Pinned days are kept; click a piece to swap it.
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                {planning && (
+                  <span className="text-sm text-slate-500">Planning day {planning.day + 1} of {weekPlan?.days?.length || 7}…</span>
+                )}
+                <Button
+                  variant="primary"
+                  icon={planning ? Loader2 : Sparkles}
+                  onClick={generateWeekPlan}
+                  disabled={!!planning || isLoading || !wardrobeReady || !!wardrobeProblem}
+                >
+                  {weekPlan ? "Re-plan Week" : "Plan My Week"}
+                </Button>
+              </div>
+            </div>
+            {wardrobeProblem && <div className="mb-4 text-sm text-slate-500">{wardrobeProblem} in My Wardrobe to start planning.</div>}
+            {weekPlan?.days?.some((d) => d.estimated) && (
+              <div className="mb-4 rounded-xl bg-amber-50 px-3 py-2 text-xs text-amber-700">
+                Daily forecast isn't available for every day; those days use current conditions.
+              </div>
+            )}
+            {weekPlan?.days?.length ? (
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-4 xl:grid-cols-7">
+                {weekPlan.days.map((day, i) => (
+                  <PlannerDay
+                    key={day.date}
+                    day={day}
+                    index={i}
+                    itemsById={itemsById}
+                    usage={planUsage}
+                    busy={!!planning || isLoading}
+                    loading={planning?.day === i}
+                    onTogglePin={(idx) => updatePlanDay(idx, { pinned: !weekPlan.days[idx].pinned })}
+                    onRegenerate={regeneratePlanDay}
+                    onNext={nextPlanAlternative}
+                    onSwapPart={swapPlanPart}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-12 text-slate-500">
+                Plan a week of outfits that follow the forecast without repeating pieces too often
+              </div>
+            )}
+          </Card>
+        ) : tab === "trip" ? (
+          <Card className="p-6">
+            <div className="mb-6">
+              <SectionTitle icon={Luggage}>Trip Packing</SectionTitle>
+              <div className="-mt-2 text-xs text-slate-500">
+                A minimal capsule from your wardrobe that covers the weather at your destination, with an outfit schedule and a packing checklist.
+              </div>
+            </div>
+            <TripPlanner
+              trip={trip}
+              places={places}
+              itemsById={itemsById}
+              busy={!!packingTrip || isLoading || !wardrobeReady}
+              progress={packingTrip}
+              blocked={wardrobeProblem}
+              onGenerate={generateTrip}
+              onTogglePacked={toggleTripPacked}
+              onClear={() => setTrip(null)}
+            />
+          </Card>
+        ) : tab === "lookbook" ? (
+          <Card className="p-6">
+            <div className="mb-4 flex items-center justify-between">
+              <SectionTitle icon={BookHeart}>Lookbook</SectionTitle>
+              <Tag color="violet">{outfits.length} saved</Tag>
+            </div>
+            <LookbookView
+              outfits={outfits}
+              itemsById={itemsById}
+              density={density}
+              onUpdate={handleUpdateOutfit}
+              onDelete={handleDeleteOutfit}
+            />
+          </Card>
+        ) : tab === "catalog" ? (
           <Card className="p-6">
             <div className="grid grid-cols-1 gap-8 xl:grid-cols-4">
               {/* Main Content */}
               <div className="space-y-8 xl:col-span-3">
                 <div>
-                  <SectionTitle icon={IconUpload}>Upload Your Photo</SectionTitle>
-                  {!anchorFile ? (
-                    <DropZone label="Upload your style reference" onFiles={handleAnchorFiles} disabled={isLoading} />
+                  <SectionTitle icon={IconUpload}>Upload Your Photos</SectionTitle>
+                  {!anchors.length ? (
+                    <DropZone label="Upload your style references" multiple onFiles={handleAnchorFiles} disabled={isLoading} process={prepareUploads} onError={handleUploadError} hint={`Up to ${MAX_ANCHORS} pieces to match together`} />
                   ) : (
-                    <div className="flex items-start gap-6">
-                      <div className="h-48 w-48 overflow-hidden rounded-3xl shadow-lg">
-                        <ProgressiveImg 
-                          src={URL.createObjectURL(anchorFile)} 
-                          alt={anchorFile.name} 
-                          className="h-full w-full rounded-3xl" 
-                        />
+                    <div className="space-y-4">
+                      <div className="flex flex-wrap items-start gap-4">
+                        {anchors.map((a, i) => (
+                          <div key={a.id} className="group relative w-36">
+                            <div className="h-36 w-36 overflow-hidden rounded-3xl shadow-lg">
+                              <FileImage file={a.file} alt={anchorLabel(a)} className="h-full w-full rounded-3xl" />
+                            </div>
+                            <div className="mt-1.5 flex items-center gap-1.5 text-xs text-slate-600">
+                              {catalogResults?.anchor_colors?.[i] && (
+                                <span className="h-2.5 w-2.5 flex-shrink-0 rounded-full border border-white shadow-sm" style={{ background: catalogResults.anchor_colors[i] }} />
+                              )}
+                              <span className="truncate">{anchors.length > 1 && `${i + 1}. `}{anchorLabel(a)}</span>
+                            </div>
+                            {a.source ? (
+                              <div className="text-[10px] text-violet-600">From your wardrobe</div>
+                            ) : (
+                              <div className="text-[10px] text-slate-400">{formatBytes(a.file.size)}</div>
+                            )}
+                            <button
+                              onClick={() => removeAnchor(a.id)}
+                              disabled={isLoading}
+                              className="absolute -right-1 -top-1 rounded-full bg-red-500 p-1 text-white shadow-lg opacity-0 group-hover:opacity-100 transition-opacity"
+                              title="Remove anchor"
+                            >
+                              <X className="h-3 w-3" />
+                            </button>
+                          </div>
+                        ))}
+                        {anchors.length < MAX_ANCHORS && (
+                          <div className="w-36">
+                            <DropZone label="Add piece" multiple onFiles={handleAnchorFiles} disabled={isLoading} process={prepareUploads} onError={handleUploadError} />
+                          </div>
+                        )}
                       </div>
-                      <div className="flex flex-col gap-3">
-                        <div className="text-sm text-slate-600">{anchorFile.name}</div>
-                        <div className="flex gap-3">
-                          <Button variant="secondary" onClick={() => setAnchorFile(null)}>
-                            Replace Image
-                          </Button>
-                          <Button 
-                            variant="primary" 
-                            onClick={runCatalogRecommendation} 
-                            disabled={isLoading} 
-                            icon={isLoading ? Loader2 : Sparkles}
+                      <div className="flex flex-wrap items-center gap-3">
+                        {anchors.length > 1 && (
+                          <select
+                            value={mergeMode}
+                            onChange={(e) => setMergeMode(e.target.value)}
+                            disabled={isLoading}
+                            className="rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+                            title="How results for several anchors are combined"
                           >
-                            {isLoading ? "Finding Matches..." : "Get Recommendations"}
-                          </Button>
-                        </div>
+                            {MERGE_MODES.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+                          </select>
+                        )}
+                        <Button variant="secondary" onClick={() => setAnchors([])} disabled={isLoading}>
+                          Clear
+                        </Button>
+                        <Button 
+                          variant="primary" 
+                          onClick={runCatalogRecommendation} 
+                          disabled={isLoading} 
+                          icon={isLoading ? Loader2 : Sparkles}
+                        >
+                          {isLoading ? "Finding Matches..." : "Get Recommendations"}
+                        </Button>
                       </div>
+                      {anchors.some((a) => a.source) && (
+                        <div className="text-xs text-slate-500">
+                          Matching {catalogTypesFor(anchors).map(humanize).join(", ")}
+                          <button onClick={() => setTab("wardrobe")} className="ml-2 font-medium text-violet-600 hover:text-violet-700">
+                            Back to wardrobe
+                          </button>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
 
                 <div>
-                  <SectionTitle icon={Star}>Recommendations</SectionTitle>
+                  <div className="flex items-center justify-between">
+                    <SectionTitle icon={Star}>Recommendations</SectionTitle>
+                    {!isLoading && anchors.length > 0 && catalogResults?.items?.length > 0 && (
+                      <Button size="sm" variant="secondary" icon={Download} onClick={handleExportCatalog} className="mb-4">
+                        Export Collage
+                      </Button>
+                    )}
+                  </div>
                   {isLoading && <SkeletonGrid count={8} />}
-                  {!isLoading && catalogResults && <CatalogResults results={catalogResults} />}
+                  {!isLoading && catalogResults && (
+                    <CatalogResults
+                      results={catalogResults}
+                      density={density}
+                      view={catalogView}
+                      onViewChange={setCatalogView}
+                      getPreviewUrl={(item) => previewUrl(apiBase, item)}
+                      anchors={anchors.map((a) => ({ file: a.file, label: anchorLabel(a), owned: Boolean(a.source) }))}
+                      compareSelected={catalogCompare}
+                      onToggleCompare={(i) => setCatalogCompare((sel) => toggleCompare(sel, i))}
+                      votes={votes}
+                      onVote={(item, v) => handleVote("catalog", item, v)}
+                      paletteMode={paletteMode}
+                    />
+                  )}
                   {!isLoading && !catalogResults && !error && (
                     <div className="text-center py-12 text-slate-500">
                       Upload an image to get personalized recommendations
@@ -835,6 +4121,17 @@ useEffect(() => {
                   <SectionTitle icon={SlidersHorizontal}>Settings</SectionTitle>
                   
                   <div className="space-y-4">
+                    <PresetPicker
+                      presets={presets}
+                      active={activePreset}
+                      disabled={isLoading}
+                      onApply={applyPreset}
+                      onSave={handleSavePreset}
+                      onDelete={handleDeletePreset}
+                      onExport={handleExportPresets}
+                      onImport={handleImportPresets}
+                    />
+
                     <div>
                       <label className="mb-2 block text-sm font-medium text-slate-700">Categories</label>
                       <div className="grid grid-cols-1 gap-2">
@@ -953,7 +4250,7 @@ useEffect(() => {
 
                     <Button 
                       onClick={runCatalogRecommendation} 
-                      disabled={!anchorFile || isLoading || allowTypesSet.size === 0} 
+                      disabled={!anchors.length || isLoading || allowTypesSet.size === 0} 
                       variant="primary"
                       className="w-full"
                       icon={isLoading ? Loader2 : Sparkles}
@@ -979,6 +4276,31 @@ useEffect(() => {
                     <SectionTitle icon={Heart}>My Wardrobe</SectionTitle>
                     <Tag color="violet">{totalWardrobeItems} items total</Tag>
                   </div>
+
+                  {familyCounts.size > 0 && (
+                    <div className="mb-4 flex flex-wrap items-center gap-2">
+                      <span className="text-xs font-medium text-slate-500">Colour</span>
+                      {COLOR_FAMILIES.filter((f) => familyCounts.has(f.id)).map((f) => (
+                        <button
+                          key={f.id}
+                          onClick={() => setColorFilter((prev) => (prev === f.id ? null : f.id))}
+                          aria-pressed={colorFilter === f.id}
+                          className={cn(
+                            "inline-flex items-center gap-1.5 rounded-full px-3 py-1 text-xs font-medium transition-colors",
+                            colorFilter === f.id ? "bg-violet-600 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+                          )}
+                        >
+                          <span className="h-2.5 w-2.5 rounded-full ring-1 ring-slate-300" style={{ background: f.swatch }} />
+                          {f.label} · {familyCounts.get(f.id)}
+                        </button>
+                      ))}
+                      {colorFilter && (
+                        <button onClick={() => setColorFilter(null)} className="text-xs text-violet-600 hover:underline">
+                          Clear
+                        </button>
+                      )}
+                    </div>
+                  )}
                   
                   <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
                     {BUCKETS.map((bucket) => (
@@ -992,26 +4314,55 @@ useEffect(() => {
                           label={`Add ${humanize(bucket)}`} 
                           multiple 
                           onFiles={(files) => handleAddWardrobe(bucket, files)} 
-                          disabled={isLoading}
+                          disabled={isLoading || checkingUploads}
+                          process={prepareUploads}
+                          onError={handleUploadError}
                           hint="Up to 8 items per category"
                         />
                         
                         {(wardrobe[bucket]?.length || 0) > 0 && (
                           <div className="mt-4 grid grid-cols-4 gap-2">
-                            {wardrobe[bucket].map((file, index) => (
+                            {wardrobe[bucket].map((item, index) => (colorFilter && !paletteFamilies(paletteFor(item)).includes(colorFilter) ? null : (
                               <motion.div 
-                                key={`${bucket}-${index}`} 
+                                key={item.id} 
                                 className="relative group"
                                 whileHover={{ scale: 1.05 }}
                                 layout
                               >
-                                <div className="aspect-square overflow-hidden rounded-xl">
+                                <button
+                                  onClick={() => setEditingItemId(item.id)}
+                                  className="relative block aspect-square w-full overflow-hidden rounded-xl"
+                                  title="Edit item"
+                                >
                                   <FileImage 
-                                    file={file} 
-                                    alt={`${bucket}-${index}`} 
+                                    file={item.file} 
+                                    alt={itemLabel(item, bucket, index)} 
                                     className="h-full w-full rounded-xl" 
                                   />
-                                </div>
+                                  <span className="absolute inset-0 flex items-center justify-center bg-slate-900/30 opacity-0 transition-opacity group-hover:opacity-100">
+                                    <Pencil className="h-4 w-4 text-white" />
+                                  </span>
+                                </button>
+                                {paletteFor(item)?.length > 0 && <PaletteStrip swatches={paletteFor(item)} />}
+                                {hasMeta(item.meta) && (
+                                  <div
+                                    className="mt-1 flex items-center gap-1 text-[10px] text-slate-600"
+                                    title={[item.meta.formality, item.meta.season, item.meta.warmth && `warmth ${item.meta.warmth}/5`, ...item.meta.tags].filter(Boolean).join(" • ")}
+                                  >
+                                    {item.meta.color && (
+                                      <span className="h-2 w-2 flex-shrink-0 rounded-full" style={{ background: item.meta.color }} />
+                                    )}
+                                    <span className="truncate">{itemLabel(item, bucket, index)}</span>
+                                  </div>
+                                )}
+                                <button
+                                  onClick={() => handleFindMatches(item.id)}
+                                  disabled={isLoading}
+                                  className="absolute bottom-1 left-1 rounded-full bg-white/90 p-1 text-violet-600 shadow opacity-0 group-hover:opacity-100 transition-opacity disabled:hidden"
+                                  title="Find matches in catalog"
+                                >
+                                  <Search className="h-3 w-3" />
+                                </button>
                                 <motion.button 
                                   onClick={() => handleRemoveWardrobe(bucket, index)} 
                                   className="absolute -right-1 -top-1 rounded-full bg-red-500 p-1 text-white shadow-lg opacity-0 group-hover:opacity-100 transition-opacity"
@@ -1021,7 +4372,7 @@ useEffect(() => {
                                   <X className="h-3 w-3" />
                                 </motion.button>
                               </motion.div>
-                            ))}
+                            )))}
                           </div>
                         )}
                       </Card>
@@ -1032,7 +4383,22 @@ useEffect(() => {
                 <div>
                   <SectionTitle icon={Sparkles}>Outfit Combinations</SectionTitle>
                   {isLoading && <SkeletonGrid count={6} size="wide" />}
-                  {!isLoading && wardrobeResults && <WardrobeResults results={wardrobeResults} />}
+                  {!isLoading && wardrobeResults && (
+                    <WardrobeResults
+                      results={wardrobeResults}
+                      itemsById={itemsById}
+                      density={density}
+                      savedKeys={savedKeys}
+                      onToggleSave={handleToggleSave}
+                      onExport={handleExportCombo}
+                      onFindMatches={handleFindMatches}
+                      compareSelected={comboCompare}
+                      onToggleCompare={(i) => setComboCompare((sel) => toggleCompare(sel, i))}
+                      votes={votes}
+                      onVote={(combo, v) => handleVote("combo", combo, v)}
+                      colorOf={colorOfItem}
+                    />
+                  )}
                   {!isLoading && !wardrobeResults && !error && (
                     <div className="text-center py-12 text-slate-500">
                       Add items to your wardrobe to generate outfit combinations
@@ -1072,6 +4438,47 @@ useEffect(() => {
                       </select>
                     </div>
 
+                    <div className="space-y-2">
+                      <label className="inline-flex items-center gap-2 text-sm font-medium text-slate-700">
+                        <input
+                          type="checkbox"
+                          checked={prepSettings.enabled}
+                          onChange={(e) => setPrepSettings({ ...prepSettings, enabled: e.target.checked })}
+                          className="h-4 w-4 rounded border-slate-300"
+                        />
+                        Optimize photos before upload
+                      </label>
+                      {prepSettings.enabled && (
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="mb-1 block text-xs text-slate-500">Max size</label>
+                            <select
+                              value={prepSettings.maxDimension}
+                              onChange={(e) => setPrepSettings({ ...prepSettings, maxDimension: Number(e.target.value) })}
+                              className="w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:border-violet-300 focus:ring-2 focus:ring-violet-200 focus:outline-none"
+                            >
+                              <option value={1024}>1024px</option>
+                              <option value={1600}>1600px</option>
+                              <option value={2048}>2048px</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label className="mb-1 block text-xs text-slate-500">Quality: {Math.round(prepSettings.quality * 100)}</label>
+                            <input
+                              type="range"
+                              min={0.5}
+                              max={0.95}
+                              step={0.05}
+                              value={prepSettings.quality}
+                              onChange={(e) => setPrepSettings({ ...prepSettings, quality: Number(e.target.value) })}
+                              className="w-full accent-violet-600"
+                            />
+                          </div>
+                        </div>
+                      )}
+                      <div className="text-[11px] text-slate-500">Fixes rotation and removes location data from photos.</div>
+                    </div>
+
                     <div>
                       <div className="flex items-center justify-between">
                         <label className="mb-2 block text-sm font-medium text-slate-700 flex items-center gap-2">
@@ -1109,38 +4516,50 @@ useEffect(() => {
                             size="sm"
                             variant="secondary"
                             icon={Navigation2}
-                            onClick={async () => {
-                              try {
-                                const loc = await getBrowserLocation();
-                                setCoords(loc);
-                                const result = await fetchLiveWeather(loc, true);
-                                const wx = result.weather || result;
-                                setLiveWeather(wx);
-                                if (result.analytics) {
-                                  setWeatherAnalytics(result.analytics);
-                                }
-                                setWeatherHint(wx.hint || "mild");
-                                setWeatherError("");
-                                push({ 
-                                  title: "Weather updated", 
-                                  message: `${wx.temp_c?.toFixed?.(1) || "?"}°C • Feels ${wx.feels_like?.toFixed?.(1) || "?"}°C • ${wx.hint}`, 
-                                  variant: "ok" 
-                                });
-                              } catch (e) {
-                                setWeatherError(String(e.message || e));
-                                push({ title: "Weather failed", message: String(e.message || e), variant: "error" });
-                              }
-                            }}
+                            onClick={() => refreshWeather(locateDevice)}
                           >
-                            Update Location
+                            Use my location
                           </Button>
                         </div>
 
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={activePlaceId || ""}
+                            onChange={(e) => handleSelectPlace(e.target.value || null)}
+                            className="min-w-0 flex-1 rounded-lg border border-slate-300 px-3 py-2 text-sm focus:ring-2 focus:ring-violet-200 focus:outline-none"
+                            disabled={isLoading || !places.length}
+                            aria-label="Place"
+                          >
+                            {!places.length && <option value="">No saved places</option>}
+                            {places.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                          </select>
+                          <button
+                            onClick={() => refreshWeather(async () => activePlace)}
+                            disabled={!activePlace || isLoading}
+                            className="rounded-lg border border-slate-300 p-2 text-slate-500 hover:bg-slate-50 disabled:opacity-40"
+                            title="Refresh weather for this place"
+                          >
+                            <RefreshCw className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => setShowPlaces(true)}
+                            className="rounded-lg border border-slate-300 p-2 text-slate-500 hover:bg-slate-50"
+                            title="Manage places"
+                          >
+                            <MapPin className="h-4 w-4" />
+                          </button>
+                        </div>
+
                         {/* Enhanced Weather Display */}
                         <div className="rounded-lg bg-slate-50 p-3 text-xs space-y-2">
                           <div className="flex items-center gap-2 text-slate-600">
                             <MapPin className="h-3.5 w-3.5" />
-                            {coords ? `${coords.lat.toFixed(2)}, ${coords.lon.toFixed(2)}` : "No location set"}
+                            <span className="truncate">{activePlace ? `${activePlace.name} · ${formatCoords(activePlace)}` : "No location set"}</span>
+                            {activePlace?.fetchedAt > 0 && (
+                              <span className="ml-auto flex-shrink-0 text-slate-400">
+                                {new Date(activePlace.fetchedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                              </span>
+                            )}
                           </div>
                           
                           {liveWeather ? (
@@ -1206,7 +4625,12 @@ useEffect(() => {
                               )}
                             </div>
                           ) : weatherError ? (
-                            <span className="text-red-600">{weatherError}</span>
+                            <div className="space-y-1">
+                              <div className="text-red-600">{weatherError}</div>
+                              <button onClick={() => setShowPlaces(true)} className="font-medium text-violet-600 hover:text-violet-700">
+                                Add a place manually
+                              </button>
+                            </div>
                           ) : (
                             <span className="text-slate-500">Live weather not loaded</span>
                           )}
@@ -1232,7 +4656,7 @@ useEffect(() => {
 
                     <Button 
                       onClick={runWardrobeRecommendation} 
-                      disabled={totalWardrobeItems < 2 || isLoading} 
+                      disabled={totalWardrobeItems < 2 || isLoading || !wardrobeReady} 
                       variant="primary"
                       className="w-full"
                       icon={isLoading ? Loader2 : Sparkles}
@@ -1262,6 +4686,44 @@ useEffect(() => {
                         <span className="text-violet-600">{totalWardrobeItems}</span>
                       </div>
                     </div>
+                    {storageEstimate?.quota > 0 && (
+                      <div className="flex items-center gap-2 text-xs text-slate-500">
+                        <HardDrive className="h-3.5 w-3.5" />
+                        <span>{formatBytes(storageEstimate.usage)} of {formatBytes(storageEstimate.quota)} used</span>
+                      </div>
+                    )}
+                    <Button size="sm" variant="secondary" icon={BarChart3} className="w-full" onClick={() => setShowAnalytics(true)} disabled={totalWardrobeItems === 0}>
+                      Analytics
+                    </Button>
+                    <div className="grid grid-cols-2 gap-2">
+                      <Button size="sm" variant="secondary" icon={Archive} onClick={handleExportArchive} disabled={totalWardrobeItems === 0}>
+                        Export
+                      </Button>
+                      <Button size="sm" variant="secondary" icon={FileUp} onClick={() => archiveInputRef.current?.click()} disabled={isLoading}>
+                        Import
+                      </Button>
+                      <input
+                        ref={archiveInputRef}
+                        type="file"
+                        accept=".zip,application/zip"
+                        className="hidden"
+                        onChange={(e) => {
+                          const file = e.target.files?.[0];
+                          e.target.value = "";
+                          if (file) handleArchiveFile(file);
+                        }}
+                      />
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      icon={Trash2}
+                      className="w-full text-red-600 hover:bg-red-50 hover:text-red-700"
+                      onClick={handleClearWardrobe}
+                      disabled={isLoading || totalWardrobeItems === 0}
+                    >
+                      Clear Wardrobe
+                    </Button>
                   </div>
                 </Card>
               </div>
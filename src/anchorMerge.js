@@ -0,0 +1,41 @@
+// Combine /recommend responses for several anchor images into one ranking. The
+// backend scores against a single anchor, so each anchor is its own request.
+
+export const MAX_ANCHORS = 4;
+
+export const MERGE_MODES = [
+  { value: "merged", label: "Merged ranking" },
+  { value: "intersection", label: "Matches every anchor" },
+];
+
+/**
+ * @param {import("./api").CatalogResponse[]} responses one per anchor, in anchor order
+ * @param {"merged" | "intersection"} [mode]
+ * @param {number} [limit]
+ * @returns {import("./api").CatalogResponse & { anchor_colors: (string | null)[] }}
+ *   items carry `contributions`: each anchor's score for the item, or null if it wasn't returned for that anchor
+ */
+export function mergeAnchorResponses(responses, mode = "merged", limit = Infinity) {
+  const anchorColors = responses.map((r) => r.anchor_color || null);
+  if (responses.length === 1) return { ...responses[0], anchor_colors: anchorColors };
+
+  const byId = new Map();
+  responses.forEach((res, a) => (res.items || []).forEach((item) => {
+    if (!byId.has(item.item_id)) byId.set(item.item_id, { item, contributions: responses.map(() => null) });
+    const entry = byId.get(item.item_id);
+    entry.contributions[a] = Math.max(entry.contributions[a] ?? -Infinity, item.score ?? 0);
+  }));
+
+  const items = [...byId.values()]
+    .filter(({ contributions }) => mode !== "intersection" || contributions.every((c) => c != null))
+    .map(({ item, contributions }) => ({
+      ...item,
+      // Anchors that didn't return the item count as 0, so pieces that suit several anchors rank first
+      score: contributions.reduce((sum, c) => sum + (c ?? 0), 0) / responses.length,
+      contributions,
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { anchor_color: anchorColors.find(Boolean) || null, anchor_colors: anchorColors, items };
+}
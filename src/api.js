@@ -0,0 +1,196 @@
+// API client for the StyleAI backend.
+// All network access goes through `request`, which owns timeouts, retries with
+// exponential backoff, cancellation and error normalization.
+
+/**
+ * @typedef {{ engine_loaded: boolean, device?: string, catalog_size?: number, error?: string }} HealthResponse
+ * @typedef {{ temp_c: number, feels_like?: number, precip_mm?: number, wind_kph?: number, humidity?: number,
+ *   code?: number, hint?: "hot" | "cold" | "rain" | "mild", temp_trend?: string, rain_likelihood?: number }} Weather
+ * @typedef {{ date: string, temp_min?: number, temp_max?: number, precip_mm?: number,
+ *   rain_likelihood?: number, wind_kph?: number }} DailyForecast
+ * @typedef {{ daily: DailyForecast[] }} WeatherForecast
+ * @typedef {{ seasonal_context?: string, temperature?: { avg: number, min?: number, max?: number } }} WeatherAnalytics
+ * @typedef {{ item_id: string, title?: string, category?: string, bucket?: string, score: number, preview_url: string }} CatalogItem
+ * @typedef {{ anchor_color?: string, items: CatalogItem[] }} CatalogResponse
+ * @typedef {{ slot: string, idx: number }} ComboPart
+ * @typedef {{ compat?: number, weather?: number, temp_c?: number, rain_likelihood?: number, wx_hint?: string,
+ *   fashion_rules?: { violations?: string[] } }} ComboExplain
+ * @typedef {{ parts: ComboPart[], score: number, explain?: ComboExplain }} Combo
+ * @typedef {{ items: Combo[] }} WardrobeResponse
+ *
+ * @typedef {{ allowTypes: string[], perBucket: number, topk: number, colorWeight: number, styleWeight: number,
+ *   diversityWeight: number, colorMode: string, filterSameBucket?: boolean }} RecommendParams
+ * @typedef {{ name: string, color: string, formality: string, season: string, warmth: number | null, tags: string[] }} ItemMeta
+ * @typedef {{ wardrobe: Record<string, File[]>, meta?: Record<string, ItemMeta[]>, topk: number, weatherHint?: string,
+ *   coords?: { lat: number, lon: number } | null, weather?: Weather | null }} WardrobeParams
+ * @typedef {{ kind: "catalog" | "combo", vote: 1 | -1, score: number | null, params: object, target: object,
+ *   createdAt: number }} FeedbackPayload
+ * @typedef {{ signal?: AbortSignal, timeout?: number, retries?: number }} RequestOptions
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code?: "http" | "network" | "timeout" | "aborted" | "parse", status?: number, detail?: string }} [info]
+   */
+  constructor(message, { code = "http", status = 0, detail = "" } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+export const isAbortError = (e) => e instanceof ApiError && e.code === "aborted";
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const isRetryable = (e) => e.code === "network" || e.code === "timeout" || RETRYABLE_STATUS.has(e.status);
+
+/** @returns {string} */
+export function buildUrl(base, path, query) {
+  const url = `${String(base || "").replace(/\/+$/, "")}${path}`;
+  const entries = Object.entries(query || {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => [k, String(v)]);
+  return entries.length ? `${url}?${new URLSearchParams(entries)}` : url;
+}
+
+/** @param {RecommendParams} p */
+export const recommendQuery = (p) => ({
+  allow_types: p.allowTypes.join(","),
+  per_bucket: p.perBucket,
+  topk: p.topk,
+  color_weight: p.colorWeight,
+  style_weight: p.styleWeight,
+  diversity_weight: p.diversityWeight,
+  anchor_color_mode: p.colorMode,
+  filter_same_bucket: p.filterSameBucket ?? true,
+});
+
+/** @param {WardrobeParams} p */
+export function wardrobeFormData(p) {
+  const form = new FormData();
+  Object.entries(p.wardrobe).forEach(([bucket, files]) => files.forEach((f) => form.append(bucket, f)));
+  // Metadata lists are index-aligned with the files of each bucket
+  if (p.meta) form.append("items_meta", JSON.stringify(p.meta));
+  form.append("topk", String(p.topk));
+  form.append("weather_hint", p.weatherHint || "mild"); // "hot" | "cold" | "rain" | "mild"
+  if (p.coords) {
+    form.append("lat", String(p.coords.lat));
+    form.append("lon", String(p.coords.lon));
+  }
+  if (p.weather) {
+    const w = p.weather;
+    form.append("weather_json", JSON.stringify({
+      temp_c: w.temp_c,
+      feels_like: w.feels_like || w.temp_c,
+      precip_mm: w.precip_mm,
+      wind_kph: w.wind_kph,
+      humidity: w.humidity,
+      code: w.code,
+      hint: w.hint,
+      temp_trend: w.temp_trend,
+      rain_likelihood: w.rain_likelihood,
+    }));
+  }
+  return form;
+}
+
+// How far ahead /weather/forecast is asked to look
+export const FORECAST_DAYS = 16;
+
+async function errorFromResponse(res) {
+  const body = await res.text().catch(() => "");
+  let detail = body;
+  try {
+    const json = JSON.parse(body);
+    const d = json.detail ?? json.error ?? json.message;
+    if (d !== undefined) detail = typeof d === "string" ? d : JSON.stringify(d);
+  } catch { /* not JSON, keep raw body */ }
+  return new ApiError(`API ${res.status}: ${detail || res.statusText}`, { status: res.status, detail });
+}
+
+function normalizeError(e, { timedOut, signal, timeout }) {
+  if (e instanceof ApiError) return e;
+  if (signal?.aborted) return new ApiError("Request cancelled", { code: "aborted" });
+  if (timedOut) return new ApiError(`Request timed out after ${Math.round(timeout / 1000)}s`, { code: "timeout" });
+  return new ApiError(e?.message ? `Network error: ${e.message}` : "Network error", { code: "network" });
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => {
+    clearTimeout(t);
+    reject(new ApiError("Request cancelled", { code: "aborted" }));
+  }, { once: true });
+});
+
+/**
+ * @param {{ baseUrl: string, fetch?: typeof fetch, retries?: number, backoffMs?: number }} config
+ */
+export function createApiClient({ baseUrl, fetch: fetchImpl = (...args) => fetch(...args), retries = 2, backoffMs = 400 }) {
+  async function request(path, { method = "GET", query, body, headers, signal, timeout = 15000, retries: maxRetries } = {}) {
+    const url = buildUrl(baseUrl, path, query);
+    // Only idempotent requests are retried unless the caller opts in
+    const allowed = maxRetries ?? (method === "GET" ? retries : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      const ctrl = new AbortController();
+      let timedOut = false;
+      const timer = setTimeout(() => { timedOut = true; ctrl.abort(); }, timeout);
+      const onAbort = () => ctrl.abort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+      try {
+        if (signal?.aborted) throw new ApiError("Request cancelled", { code: "aborted" });
+        const res = await fetchImpl(url, { method, body, headers, signal: ctrl.signal });
+        if (!res.ok) throw await errorFromResponse(res);
+        try {
+          return await res.json();
+        } catch {
+          throw new ApiError("API returned invalid JSON", { code: "parse", status: res.status });
+        }
+      } catch (e) {
+        const err = normalizeError(e, { timedOut, signal, timeout });
+        if (attempt >= allowed || !isRetryable(err)) throw err;
+        await sleep(backoffMs * 2 ** attempt + Math.random() * 100, signal);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+    /** @param {RequestOptions} [opts] @returns {Promise<HealthResponse>} */
+    health: (opts) => request("/health", { timeout: 5000, retries: 0, ...opts }),
+    /** @param {{ lat: number, lon: number }} loc @param {RequestOptions} [opts] @returns {Promise<Weather>} */
+    weather: (loc, opts) => request("/weather", { query: { lat: loc.lat, lon: loc.lon }, timeout: 9000, ...opts }),
+    /** @param {{ lat: number, lon: number }} loc @param {RequestOptions} [opts] @returns {Promise<WeatherAnalytics>} */
+    weatherAnalytics: (loc, opts) => request("/weather/analytics", { query: { lat: loc.lat, lon: loc.lon }, timeout: 9000, ...opts }),
+    /** @param {{ lat: number, lon: number }} loc @param {RequestOptions} [opts] @returns {Promise<DailyForecast[]>} */
+    forecast: async (loc, opts) => {
+      /** @type {WeatherForecast} */
+      const json = await request("/weather/forecast", { query: { lat: loc.lat, lon: loc.lon, days: FORECAST_DAYS }, timeout: 9000, ...opts });
+      return Array.isArray(json?.daily) ? json.daily : [];
+    },
+    /** @param {File} image @param {RecommendParams} params @param {RequestOptions} [opts] @returns {Promise<CatalogResponse>} */
+    recommend: (image, params, opts) => {
+      const form = new FormData();
+      form.append("image", image);
+      return request("/recommend", { method: "POST", query: recommendQuery(params), body: form, timeout: 60000, ...opts });
+    },
+    /** @param {WardrobeParams} params @param {RequestOptions} [opts] @returns {Promise<WardrobeResponse>} */
+    wardrobeRecommend: (params, opts) =>
+      request("/wardrobe/recommend", { method: "POST", body: wardrobeFormData(params), timeout: 90000, ...opts }),
+    /** @param {FeedbackPayload} payload @param {RequestOptions} [opts] @returns {Promise<unknown>} */
+    feedback: (payload, opts) => request("/feedback", {
+      method: "POST",
+      body: JSON.stringify(payload),
+      headers: { "Content-Type": "application/json" },
+      timeout: 8000,
+      ...opts,
+    }),
+  };
+}
@@ -0,0 +1,57 @@
+// Client-side filtering, sorting and grouping of /recommend results
+
+export const CATALOG_SORTS = [
+  { value: "relevance", label: "Server order" },
+  { value: "score", label: "Score: high to low" },
+  { value: "score_asc", label: "Score: low to high" },
+  { value: "title", label: "Title A-Z" },
+];
+
+export const EMPTY_FILTERS = { buckets: [], minScore: 0, query: "" };
+export const DEFAULT_CATALOG_VIEW = { sort: "relevance", groupByBucket: false };
+
+export const itemBucket = (item) => item.bucket || item.category || "other";
+
+// Score range of a response, used to bound the minimum-score slider
+export function scoreRange(items) {
+  const scores = items.map((i) => i.score).filter((s) => typeof s === "number");
+  if (!scores.length) return { min: 0, max: 1 };
+  return { min: Math.min(...scores), max: Math.max(...scores) };
+}
+
+export function bucketCounts(items) {
+  const counts = new Map();
+  items.forEach((item) => counts.set(itemBucket(item), (counts.get(itemBucket(item)) || 0) + 1));
+  return counts;
+}
+
+export function filterItems(items, { buckets, minScore, query }) {
+  const q = query.trim().toLowerCase();
+  return items.filter((item) =>
+    (!buckets.length || buckets.includes(itemBucket(item))) &&
+    (item.score ?? 0) >= minScore &&
+    (!q || (item.title || item.category || "").toLowerCase().includes(q))
+  );
+}
+
+export function sortItems(items, sort) {
+  const out = [...items];
+  if (sort === "score") out.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  else if (sort === "score_asc") out.sort((a, b) => (a.score ?? 0) - (b.score ?? 0));
+  else if (sort === "title") out.sort((a, b) => (a.title || a.category || "").localeCompare(b.title || b.category || ""));
+  return out;
+}
+
+/**
+ * Group items by bucket, keeping `order` first and any unknown buckets after it.
+ * @returns {{ bucket: string, items: object[] }[]}
+ */
+export function groupByBucket(items, order = []) {
+  const groups = new Map(order.map((b) => [b, []]));
+  items.forEach((item) => {
+    const b = itemBucket(item);
+    if (!groups.has(b)) groups.set(b, []);
+    groups.get(b).push(item);
+  });
+  return [...groups].filter(([, list]) => list.length).map(([bucket, list]) => ({ bucket, items: list }));
+}
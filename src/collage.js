@@ -0,0 +1,157 @@
+// Render a set of outfit images into a single shareable collage (canvas -> PNG/JPEG)
+
+export const COLLAGE_LAYOUTS = [
+  { id: "grid", label: "Grid" },
+  { id: "hero", label: "Hero + stack" },
+  { id: "row", label: "Single row" },
+  { id: "column", label: "Single column" },
+];
+
+export const COLLAGE_SIZES = [
+  { id: 1080, label: "1080px (social)" },
+  { id: 1600, label: "1600px" },
+  { id: 2400, label: "2400px (print)" },
+];
+
+const BACKGROUND = "#ffffff";
+const INK = "#0f172a";
+const MUTED = "#64748b";
+
+// Decode a Blob or URL into something drawImage accepts. Remote URLs are fetched
+// first so the canvas isn't tainted by cross-origin pixels.
+async function loadSource(source) {
+  if (!source) return null;
+  const blob = source instanceof Blob ? source : await fetch(source).then((r) => {
+    if (!r.ok) throw new Error(`Image ${r.status}`);
+    return r.blob();
+  });
+  try {
+    return await createImageBitmap(blob);
+  } catch {
+    // e.g. SVG blobs, which createImageBitmap rejects in some browsers
+    const url = URL.createObjectURL(blob);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      return img;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+// Cell rectangles for `n` images inside a `width` x `width`-ish canvas
+function cells(layout, n, width, gap) {
+  if (layout === "row") {
+    const size = (width - gap * (n + 1)) / n;
+    return { height: size + gap * 2, rects: Array.from({ length: n }, (_, i) => [gap + i * (size + gap), gap, size, size]) };
+  }
+  if (layout === "column") {
+    const size = width - gap * 2;
+    return { height: n * (size + gap) + gap, rects: Array.from({ length: n }, (_, i) => [gap, gap + i * (size + gap), size, size]) };
+  }
+  if (layout === "hero" && n > 1) {
+    const rest = n - 1;
+    const heroSize = (width - gap * 3) * (rest > 3 ? 0.6 : 0.66);
+    const sideW = width - gap * 3 - heroSize;
+    const sideH = (heroSize - gap * (rest - 1)) / rest;
+    return {
+      height: heroSize + gap * 2,
+      rects: [[gap, gap, heroSize, heroSize], ...Array.from({ length: rest }, (_, i) => [gap * 2 + heroSize, gap + i * (sideH + gap), sideW, sideH])],
+    };
+  }
+  const cols = Math.ceil(Math.sqrt(n));
+  const rows = Math.ceil(n / cols);
+  const size = (width - gap * (cols + 1)) / cols;
+  return {
+    height: rows * (size + gap) + gap,
+    rects: Array.from({ length: n }, (_, i) => [gap + (i % cols) * (size + gap), gap + Math.floor(i / cols) * (size + gap), size, size]),
+  };
+}
+
+function drawCover(ctx, img, [x, y, w, h], radius) {
+  ctx.save();
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(x, y, w, h, radius);
+  else ctx.rect(x, y, w, h);
+  ctx.clip();
+  ctx.fillStyle = "#f1f5f9";
+  ctx.fillRect(x, y, w, h);
+  if (img) {
+    const iw = img.width;
+    const ih = img.height;
+    const scale = Math.max(w / iw, h / ih);
+    ctx.drawImage(img, x + (w - iw * scale) / 2, y + (h - ih * scale) / 2, iw * scale, ih * scale);
+  }
+  ctx.restore();
+}
+
+/**
+ * @param {{ images: { source: Blob | string | null, label?: string }[], layout?: string, size?: number,
+ *   caption?: { title: string, details: string[] } | null, format?: "png" | "jpeg", quality?: number }} opts
+ * @returns {Promise<Blob>}
+ */
+export async function renderCollage({ images, layout = "grid", size = 1080, caption = null, format = "png", quality = 0.92 }) {
+  if (!images.length) throw new Error("Nothing to export");
+  const decoded = await Promise.all(images.map((im) => loadSource(im.source).catch(() => null)));
+
+  const gap = Math.round(size * 0.025);
+  const { height, rects } = cells(layout, images.length, size, gap);
+  const captionH = caption ? Math.round(size * (caption.details.length ? 0.11 : 0.07)) : 0;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = Math.round(height + captionH);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  rects.forEach((rect, i) => {
+    drawCover(ctx, decoded[i], rect, gap);
+    const label = images[i].label;
+    if (label) {
+      const fs = Math.max(12, Math.round(rect[2] * 0.055));
+      ctx.font = `600 ${fs}px system-ui, sans-serif`;
+      const tw = ctx.measureText(label).width;
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.fillRect(rect[0] + gap / 2, rect[1] + rect[3] - fs * 2 - gap / 2, tw + fs, fs * 1.6);
+      ctx.fillStyle = INK;
+      ctx.fillText(label, rect[0] + gap / 2 + fs / 2, rect[1] + rect[3] - fs * 0.85 - gap / 2);
+    }
+  });
+  decoded.forEach((img) => img?.close?.());
+
+  if (caption) {
+    const top = height;
+    const titleSize = Math.round(size * 0.032);
+    ctx.fillStyle = INK;
+    ctx.font = `700 ${titleSize}px system-ui, sans-serif`;
+    ctx.fillText(caption.title, gap, top + titleSize);
+    if (caption.details.length) {
+      const detailSize = Math.round(size * 0.022);
+      ctx.fillStyle = MUTED;
+      ctx.font = `400 ${detailSize}px system-ui, sans-serif`;
+      ctx.fillText(caption.details.join("  •  "), gap, top + titleSize + detailSize * 1.8);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Canvas export failed"))),
+      format === "jpeg" ? "image/jpeg" : "image/png",
+      quality
+    );
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
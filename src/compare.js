@@ -0,0 +1,83 @@
+// Side-by-side comparison rows for outfits and catalog items. Each row holds one
+// cell per compared entry; `best` marks the winning numeric value and `differs`
+// marks cells that don't match the rest of the row.
+import { explainCombo } from "./explain";
+
+export const MAX_COMPARE = 4;
+
+export const toggleCompare = (selected, idx) =>
+  selected.includes(idx)
+    ? selected.filter((i) => i !== idx)
+    : selected.length >= MAX_COMPARE ? selected : [...selected, idx];
+
+const pct = (v) => (v == null ? "—" : `${Math.round(v * 100)}%`);
+const fixed = (v) => (v == null ? "—" : v.toFixed(3));
+
+/**
+ * @param {string} label
+ * @param {Array<number | string | string[] | null | undefined>} values
+ * @param {{ better?: "high" | "low", format?: (v: any) => string }} [opts]
+ */
+function row(label, values, { better, format = (v) => (v == null ? "—" : String(v)) } = {}) {
+  const keys = values.map((v) => (Array.isArray(v) ? [...v].sort().join("|") : String(v ?? "")));
+  const counts = keys.reduce((m, k) => m.set(k, (m.get(k) || 0) + 1), new Map());
+  const allSame = counts.size === 1;
+  const majority = Math.max(...counts.values());
+
+  const nums = values.filter((v) => typeof v === "number");
+  const target = better && nums.length > 1 && !allSame
+    ? (better === "high" ? Math.max(...nums) : Math.min(...nums))
+    : null;
+
+  return {
+    label,
+    cells: values.map((v, i) => ({
+      text: Array.isArray(v) ? (v.length ? v : ["None"]) : format(v),
+      best: target != null && v === target,
+      // With a clear majority only the odd ones out are flagged, otherwise every cell is
+      differs: !allSame && !better && (majority === 1 || counts.get(keys[i]) < majority),
+    })),
+  };
+}
+
+/**
+ * @param {import("./api").Combo[]} combos
+ * @param {string[]} slots
+ * @param {(part: { slot: string, idx: number, itemId?: string }) => string} describePart
+ */
+export function comboRows(combos, slots, describePart) {
+  const explained = combos.map(explainCombo);
+  const component = (key) => explained.map((e) => e.components.find((c) => c.key === key)?.value ?? null);
+  const ex = (key) => combos.map((c) => c.explain?.[key] ?? null);
+  const usedSlots = slots.filter((s) => combos.some((c) => c.parts.some((p) => p.slot === s)));
+
+  return [
+    row("Score", combos.map((c) => c.score ?? null), { better: "high", format: pct }),
+    row("Compatibility", component("compat"), { better: "high", format: pct }),
+    row("Weather fit", component("weather"), { better: "high", format: pct }),
+    row("Rules broken", explained.map((e) => e.violations)),
+    row("Temperature", ex("temp_c"), { format: (v) => (v == null ? "—" : `${Number(v).toFixed(1)}°C`) }),
+    row("Rain chance", ex("rain_likelihood"), { format: (v) => (v == null ? "—" : `${Math.round(v)}%`) }),
+    row("Pieces", combos.map((c) => c.parts.length)),
+    ...usedSlots.map((slot) => {
+      const labels = combos.map((c) => {
+        const part = c.parts.find((p) => p.slot === slot);
+        return part ? describePart(part) : null;
+      });
+      return row(slot.charAt(0).toUpperCase() + slot.slice(1), labels);
+    }),
+  ];
+}
+
+/** @param {import("./api").CatalogItem[]} items */
+export function catalogRows(items) {
+  return [
+    row("Score", items.map((i) => i.score ?? null), { better: "high", format: fixed }),
+    row("Bucket", items.map((i) => i.bucket || null)),
+    row("Category", items.map((i) => i.category || null)),
+    row("Item ID", items.map((i) => i.item_id)),
+    ...(items.some((i) => i.contributions)
+      ? [row("Per anchor", items.map((i) => (i.contributions || []).map((c, a) => `#${a + 1} ${c == null ? "—" : c.toFixed(3)}`)))]
+      : []),
+  ];
+}
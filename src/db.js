@@ -0,0 +1,68 @@
+// Thin IndexedDB wrapper shared by the persistent stores
+const DB_NAME = "styleai";
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB not available"));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) db.createObjectStore("wardrobe", { keyPath: "id" });
+        if (e.oldVersion < 2) db.createObjectStore("outfits", { keyPath: "id" });
+        if (e.oldVersion < 3) db.createObjectStore("history", { keyPath: "id" });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer version of the app (another tab) upgrade the schema
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("Database is blocked by another tab"));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `fn(store)` inside one transaction; resolves with the result of the
+// request `fn` returns (or its plain return value) once the transaction commits.
+export async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    let result;
+    const out = fn(tx.objectStore(name));
+    if (out instanceof IDBRequest) out.onsuccess = () => { result = out.result; };
+    else result = out;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+export const isQuotaError = (e) =>
+  e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22;
+
+export async function getStorageEstimate() {
+  try {
+    const { usage = 0, quota = 0 } = (await navigator.storage?.estimate?.()) || {};
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
+
+// Ask the browser not to evict our data under storage pressure (best effort)
+export async function requestPersistentStorage() {
+  try {
+    if (await navigator.storage?.persisted?.()) return true;
+    return (await navigator.storage?.persist?.()) || false;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,35 @@
+// Turn a combo's `explain` payload into plain-language reasons for the UI
+
+const sentence = (s) => {
+  const text = String(s).replace(/_/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+export const describeRule = (rule) => {
+  if (rule && typeof rule === "object") return describeRule(rule.message || rule.rule || rule.code || "");
+  return sentence(rule);
+};
+
+/**
+ * Only restates what the payload reports. The backend sends broken rules
+ * (`fashion_rules.violations`) but neither the rules that passed nor what each
+ * violation cost, so neither is shown.
+ * @returns {{ components: { key: string, label: string, value: number | null }[],
+ *   rulesReported: boolean, violations: string[], weather: string[] }}
+ */
+export function explainCombo(combo) {
+  const ex = combo.explain || {};
+  const violations = (ex.fashion_rules?.violations || []).map(describeRule);
+
+  const components = [
+    { key: "compat", label: "Compatibility", value: typeof ex.compat === "number" ? ex.compat : null },
+    { key: "weather", label: "Weather fit", value: typeof ex.weather === "number" ? ex.weather : null },
+  ];
+
+  const weather = [];
+  if (ex.temp_c != null) weather.push(`Scored for ${Number(ex.temp_c).toFixed(1)}°C${ex.wx_hint ? ` (${ex.wx_hint} weather)` : ""}.`);
+  else if (ex.wx_hint) weather.push(`Scored for ${ex.wx_hint} weather.`);
+  if (ex.rain_likelihood != null) weather.push(`Rain likelihood was ${Math.round(ex.rain_likelihood)}%.`);
+
+  return { components, rulesReported: !!ex.fashion_rules, violations, weather };
+}
@@ -0,0 +1,79 @@
+// Thumbs up/down on catalog items and outfits. Votes are kept locally and used to
+// re-rank later responses: liked items/pairings move up, disliked ones move down.
+import { outfitKey } from "./lookbookStore";
+import { newItemId } from "./wardrobeStore";
+
+export const ITEM_WEIGHT = 0.15; // score shift per net vote on a catalog item
+export const PAIR_WEIGHT = 0.08; // score shift per net vote on a pair of wardrobe items
+
+export const feedbackKey = (kind, target) =>
+  kind === "catalog" ? `catalog:${target.item_id}` : `combo:${outfitKey(target.parts)}`;
+
+/**
+ * @param {"catalog" | "combo"} kind
+ * @param {1 | -1} vote
+ * @param {object} target CatalogItem or Combo (with itemId-annotated parts)
+ * @param {object} params request parameters that produced the result
+ */
+export function createFeedback(kind, vote, target, params) {
+  return {
+    id: newItemId(),
+    key: feedbackKey(kind, target),
+    kind,
+    vote,
+    createdAt: Date.now(),
+    score: target.score ?? null,
+    params,
+    target: kind === "catalog"
+      ? { item_id: target.item_id, title: target.title, bucket: target.bucket, category: target.category, preview_url: target.preview_url }
+      : { parts: target.parts.map(({ slot, itemId }) => ({ slot, itemId })) },
+  };
+}
+
+// Voting the same way twice clears the vote; a new vote replaces the old one
+export function applyVote(list, entry) {
+  const existing = list.find((f) => f.key === entry.key);
+  const rest = list.filter((f) => f.key !== entry.key);
+  return existing?.vote === entry.vote ? rest : [entry, ...rest];
+}
+
+export const voteMap = (list) => new Map(list.map((f) => [f.key, f.vote]));
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+function pairs(ids) {
+  const out = [];
+  for (let i = 0; i < ids.length; i++) for (let j = i + 1; j < ids.length; j++) out.push(pairKey(ids[i], ids[j]));
+  return out;
+}
+
+/** @returns {{ items: Map<string, number>, pairs: Map<string, number> }} net votes */
+export function buildPreferences(list) {
+  const items = new Map();
+  const pairVotes = new Map();
+  list.forEach((f) => {
+    if (f.kind === "catalog") items.set(f.target.item_id, (items.get(f.target.item_id) || 0) + f.vote);
+    else pairs(f.target.parts.map((p) => p.itemId)).forEach((k) => pairVotes.set(k, (pairVotes.get(k) || 0) + f.vote));
+  });
+  return { items, pairs: pairVotes };
+}
+
+// Stable sort by adjusted score; `preference` records the net shift for the UI
+function rerank(list, shiftFor) {
+  return list
+    .map((entry, i) => ({ entry, i, shift: shiftFor(entry) }))
+    .sort((a, b) => ((b.entry.score ?? 0) + b.shift) - ((a.entry.score ?? 0) + a.shift) || a.i - b.i)
+    .map(({ entry, shift }) => (shift ? { ...entry, preference: shift } : entry));
+}
+
+export function rerankCatalog(response, prefs) {
+  if (!response?.items?.length || !prefs.items.size) return response;
+  return { ...response, items: rerank(response.items, (item) => (prefs.items.get(item.item_id) || 0) * ITEM_WEIGHT) };
+}
+
+export function rerankCombos(response, prefs) {
+  if (!response?.items?.length || !prefs.pairs.size) return response;
+  const shiftFor = (combo) =>
+    pairs(combo.parts.map((p) => p.itemId).filter(Boolean)).reduce((sum, k) => sum + (prefs.pairs.get(k) || 0), 0) * PAIR_WEIGHT;
+  return { ...response, items: rerank(response.items, shiftFor) };
+}
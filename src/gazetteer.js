@@ -0,0 +1,77 @@
+// Offline city list for place search: [name, ISO country code, lat, lon].
+// Roughly ordered by size so ties in search favour the larger city.
+export const CITIES = [
+  ["Tokyo", "JP", 35.68, 139.69], ["Delhi", "IN", 28.61, 77.21], ["Shanghai", "CN", 31.23, 121.47],
+  ["São Paulo", "BR", -23.55, -46.63], ["Mexico City", "MX", 19.43, -99.13], ["Cairo", "EG", 30.04, 31.24],
+  ["Mumbai", "IN", 19.08, 72.88], ["Beijing", "CN", 39.9, 116.41], ["Dhaka", "BD", 23.81, 90.41],
+  ["Osaka", "JP", 34.69, 135.5], ["New York", "US", 40.71, -74.01], ["Karachi", "PK", 24.86, 67.01],
+  ["Buenos Aires", "AR", -34.6, -58.38], ["Istanbul", "TR", 41.01, 28.98], ["Kolkata", "IN", 22.57, 88.36],
+  ["Lagos", "NG", 6.52, 3.38], ["Manila", "PH", 14.6, 120.98], ["Rio de Janeiro", "BR", -22.91, -43.17],
+  ["Guangzhou", "CN", 23.13, 113.26], ["Lahore", "PK", 31.55, 74.34], ["Shenzhen", "CN", 22.54, 114.06],
+  ["Bangalore", "IN", 12.97, 77.59], ["Moscow", "RU", 55.76, 37.62], ["Paris", "FR", 48.86, 2.35],
+  ["Bogotá", "CO", 4.71, -74.07], ["Jakarta", "ID", -6.21, 106.85], ["Chennai", "IN", 13.08, 80.27],
+  ["Lima", "PE", -12.05, -77.04], ["Bangkok", "TH", 13.76, 100.5], ["Seoul", "KR", 37.57, 126.98],
+  ["Nagoya", "JP", 35.18, 136.91], ["Hyderabad", "IN", 17.39, 78.49], ["London", "GB", 51.51, -0.13],
+  ["Tehran", "IR", 35.69, 51.39], ["Chicago", "US", 41.88, -87.63], ["Chengdu", "CN", 30.57, 104.07],
+  ["Ho Chi Minh City", "VN", 10.82, 106.63], ["Luanda", "AO", -8.84, 13.23], ["Ahmedabad", "IN", 23.02, 72.57],
+  ["Kuala Lumpur", "MY", 3.14, 101.69], ["Hong Kong", "HK", 22.32, 114.17], ["Riyadh", "SA", 24.71, 46.68],
+  ["Baghdad", "IQ", 33.31, 44.36], ["Santiago", "CL", -33.45, -70.67], ["Surat", "IN", 21.17, 72.83],
+  ["Madrid", "ES", 40.42, -3.7], ["Pune", "IN", 18.52, 73.86], ["Houston", "US", 29.76, -95.37],
+  ["Dallas", "US", 32.78, -96.8], ["Toronto", "CA", 43.65, -79.38], ["Dar es Salaam", "TZ", -6.79, 39.21],
+  ["Miami", "US", 25.76, -80.19], ["Belo Horizonte", "BR", -19.92, -43.94], ["Singapore", "SG", 1.35, 103.82],
+  ["Philadelphia", "US", 39.95, -75.17], ["Atlanta", "US", 33.75, -84.39], ["Fukuoka", "JP", 33.59, 130.4],
+  ["Khartoum", "SD", 15.5, 32.56], ["Barcelona", "ES", 41.39, 2.17], ["Johannesburg", "ZA", -26.2, 28.05],
+  ["Saint Petersburg", "RU", 59.93, 30.34], ["Washington", "US", 38.91, -77.04], ["Yangon", "MM", 16.87, 96.2],
+  ["Alexandria", "EG", 31.2, 29.92], ["Guadalajara", "MX", 20.66, -103.35], ["Ankara", "TR", 39.93, 32.86],
+  ["Melbourne", "AU", -37.81, 144.96], ["Sydney", "AU", -33.87, 151.21], ["Abidjan", "CI", 5.36, -4.01],
+  ["Monterrey", "MX", 25.69, -100.32], ["Boston", "US", 42.36, -71.06], ["Phoenix", "US", 33.45, -112.07],
+  ["Nairobi", "KE", -1.29, 36.82], ["Cape Town", "ZA", -33.92, 18.42], ["Berlin", "DE", 52.52, 13.4],
+  ["Jeddah", "SA", 21.49, 39.19], ["Kabul", "AF", 34.56, 69.21], ["Los Angeles", "US", 34.05, -118.24],
+  ["San Francisco", "US", 37.77, -122.42], ["Seattle", "US", 47.61, -122.33], ["San Diego", "US", 32.72, -117.16],
+  ["Detroit", "US", 42.33, -83.05], ["Minneapolis", "US", 44.98, -93.27], ["Denver", "US", 39.74, -104.99],
+  ["Las Vegas", "US", 36.17, -115.14], ["Portland", "US", 45.52, -122.68], ["Austin", "US", 30.27, -97.74],
+  ["New Orleans", "US", 29.95, -90.07], ["Honolulu", "US", 21.31, -157.86], ["Anchorage", "US", 61.22, -149.9],
+  ["Montreal", "CA", 45.5, -73.57], ["Vancouver", "CA", 49.28, -123.12], ["Calgary", "CA", 51.05, -114.07],
+  ["Ottawa", "CA", 45.42, -75.7], ["Havana", "CU", 23.11, -82.37], ["Panama City", "PA", 8.98, -79.52],
+  ["San José", "CR", 9.93, -84.08], ["Quito", "EC", -0.18, -78.47], ["Caracas", "VE", 10.48, -66.9],
+  ["Montevideo", "UY", -34.9, -56.16], ["Brasília", "BR", -15.79, -47.88], ["Salvador", "BR", -12.97, -38.5],
+  ["La Paz", "BO", -16.5, -68.15], ["Asunción", "PY", -25.26, -57.58], ["Medellín", "CO", 6.24, -75.58],
+  ["Rome", "IT", 41.9, 12.5], ["Milan", "IT", 45.46, 9.19], ["Naples", "IT", 40.85, 14.27],
+  ["Florence", "IT", 43.77, 11.26], ["Venice", "IT", 45.44, 12.32], ["Turin", "IT", 45.07, 7.69],
+  ["Lisbon", "PT", 38.72, -9.14], ["Porto", "PT", 41.16, -8.63], ["Seville", "ES", 37.39, -5.98],
+  ["Valencia", "ES", 39.47, -0.38], ["Málaga", "ES", 36.72, -4.42], ["Bilbao", "ES", 43.26, -2.93],
+  ["Marseille", "FR", 43.3, 5.37], ["Lyon", "FR", 45.76, 4.84], ["Nice", "FR", 43.7, 7.27],
+  ["Bordeaux", "FR", 44.84, -0.58], ["Toulouse", "FR", 43.6, 1.44], ["Brussels", "BE", 50.85, 4.35],
+  ["Antwerp", "BE", 51.22, 4.4], ["Amsterdam", "NL", 52.37, 4.9], ["Rotterdam", "NL", 51.92, 4.48],
+  ["The Hague", "NL", 52.08, 4.3], ["Luxembourg", "LU", 49.61, 6.13], ["Hamburg", "DE", 53.55, 9.99],
+  ["Munich", "DE", 48.14, 11.58], ["Cologne", "DE", 50.94, 6.96], ["Frankfurt", "DE", 50.11, 8.68],
+  ["Stuttgart", "DE", 48.78, 9.18], ["Düsseldorf", "DE", 51.23, 6.77], ["Vienna", "AT", 48.21, 16.37],
+  ["Salzburg", "AT", 47.81, 13.06], ["Zürich", "CH", 47.38, 8.54], ["Geneva", "CH", 46.2, 6.14],
+  ["Bern", "CH", 46.95, 7.45], ["Prague", "CZ", 50.08, 14.44], ["Warsaw", "PL", 52.23, 21.01],
+  ["Kraków", "PL", 50.06, 19.94], ["Budapest", "HU", 47.5, 19.04], ["Bratislava", "SK", 48.15, 17.11],
+  ["Ljubljana", "SI", 46.06, 14.51], ["Zagreb", "HR", 45.81, 15.98], ["Belgrade", "RS", 44.79, 20.45],
+  ["Bucharest", "RO", 44.43, 26.1], ["Sofia", "BG", 42.7, 23.32], ["Athens", "GR", 37.98, 23.73],
+  ["Thessaloniki", "GR", 40.64, 22.94], ["Dublin", "IE", 53.35, -6.26], ["Edinburgh", "GB", 55.95, -3.19],
+  ["Glasgow", "GB", 55.86, -4.25], ["Manchester", "GB", 53.48, -2.24], ["Birmingham", "GB", 52.49, -1.89],
+  ["Liverpool", "GB", 53.41, -2.98], ["Bristol", "GB", 51.45, -2.59], ["Belfast", "GB", 54.6, -5.93],
+  ["Cardiff", "GB", 51.48, -3.18], ["Copenhagen", "DK", 55.68, 12.57], ["Aarhus", "DK", 56.16, 10.2],
+  ["Oslo", "NO", 59.91, 10.75], ["Bergen", "NO", 60.39, 5.32], ["Tromsø", "NO", 69.65, 18.96],
+  ["Stockholm", "SE", 59.33, 18.07], ["Gothenburg", "SE", 57.71, 11.97], ["Malmö", "SE", 55.6, 13.0],
+  ["Helsinki", "FI", 60.17, 24.94], ["Reykjavík", "IS", 64.15, -21.94], ["Tallinn", "EE", 59.44, 24.75],
+  ["Riga", "LV", 56.95, 24.11], ["Vilnius", "LT", 54.69, 25.28], ["Kyiv", "UA", 50.45, 30.52],
+  ["Minsk", "BY", 53.9, 27.56], ["Tbilisi", "GE", 41.72, 44.79], ["Yerevan", "AM", 40.18, 44.51],
+  ["Baku", "AZ", 40.41, 49.87], ["Tel Aviv", "IL", 32.09, 34.78], ["Jerusalem", "IL", 31.77, 35.21],
+  ["Beirut", "LB", 33.89, 35.5], ["Amman", "JO", 31.95, 35.93], ["Dubai", "AE", 25.2, 55.27],
+  ["Abu Dhabi", "AE", 24.45, 54.38], ["Doha", "QA", 25.29, 51.53], ["Kuwait City", "KW", 29.38, 47.99],
+  ["Muscat", "OM", 23.59, 58.41], ["Islamabad", "PK", 33.68, 73.05], ["Kathmandu", "NP", 27.72, 85.32],
+  ["Colombo", "LK", 6.93, 79.86], ["Hanoi", "VN", 21.03, 105.85], ["Phnom Penh", "KH", 11.56, 104.92],
+  ["Taipei", "TW", 25.03, 121.57], ["Busan", "KR", 35.18, 129.08], ["Kyoto", "JP", 35.01, 135.77],
+  ["Sapporo", "JP", 43.06, 141.35], ["Yokohama", "JP", 35.44, 139.64], ["Hangzhou", "CN", 30.27, 120.16],
+  ["Wuhan", "CN", 30.59, 114.31], ["Xi'an", "CN", 34.34, 108.94], ["Chongqing", "CN", 29.56, 106.55],
+  ["Bali", "ID", -8.65, 115.22], ["Perth", "AU", -31.95, 115.86], ["Brisbane", "AU", -27.47, 153.03],
+  ["Adelaide", "AU", -34.93, 138.6], ["Auckland", "NZ", -36.85, 174.76], ["Wellington", "NZ", -41.29, 174.78],
+  ["Casablanca", "MA", 33.57, -7.59], ["Marrakesh", "MA", 31.63, -7.98], ["Tunis", "TN", 36.81, 10.18],
+  ["Algiers", "DZ", 36.75, 3.06], ["Accra", "GH", 5.6, -0.19], ["Dakar", "SN", 14.72, -17.47],
+  ["Addis Ababa", "ET", 9.03, 38.74], ["Kampala", "UG", 0.35, 32.58], ["Kigali", "RW", -1.95, 30.06],
+  ["Durban", "ZA", -29.86, 31.03], ["Windhoek", "NA", -22.56, 17.08], ["Antananarivo", "MG", -18.88, 47.51],
+];
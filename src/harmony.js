@@ -0,0 +1,116 @@
+// Colour-harmony analysis: classifies how the dominant colours of a set of
+// pieces relate on the colour wheel and flags pairs that clash. Hues are placed
+// on the painters' (RYB) wheel stylists use, where red sits opposite green.
+import { hexToRgb } from "./imageEdit";
+import { colorFamily, rgbToHsv } from "./palette";
+
+export const HARMONIES = {
+  monochrome: { label: "Monochrome", description: "Shades of a single hue" },
+  analogous: { label: "Analogous", description: "Neighbouring hues on the wheel" },
+  complementary: { label: "Complementary", description: "Opposite hues that balance each other" },
+  triadic: { label: "Triadic", description: "Three hues spaced evenly around the wheel" },
+  "neutral-accent": { label: "Neutral + accent", description: "A neutral base with one colour accent" },
+  neutral: { label: "All neutral", description: "Only neutral tones" },
+  mixed: { label: "Mixed", description: "Hues without a classic relationship" },
+};
+
+// RGB hue -> RYB hue anchor points; linear in between
+const RYB_STOPS = [[0, 0], [30, 60], [60, 120], [120, 180], [240, 240], [360, 360]];
+
+const mapHue = (h, from, to) => {
+  const i = RYB_STOPS.findIndex((stop, n) => n > 0 && h <= stop[from]);
+  const [a, b] = [RYB_STOPS[i - 1], RYB_STOPS[i]];
+  return a[to] + ((h - a[from]) / (b[from] - a[from])) * (b[to] - a[to]);
+};
+export const rybHue = (rgbHue) => mapHue(((rgbHue % 360) + 360) % 360, 0, 1);
+export const rgbHueFromRyb = (ryb) => mapHue(((ryb % 360) + 360) % 360, 1, 0);
+
+const NEUTRAL_FAMILIES = new Set(["black", "grey", "white", "beige", "brown"]);
+const STRONG = 0.4; // saturation and value above which a colour is loud enough to clash
+
+/**
+ * @param {string} hex
+ * @returns {{ hex: string, label: string, hue: number, sat: number, val: number, family: string, neutral: boolean }}
+ */
+export function colorPoint(hex, label = "", extra = {}) {
+  const rgb = hexToRgb(hex);
+  const [rgbHue, sat, val] = rgbToHsv(rgb);
+  const hue = rybHue(rgbHue);
+  const family = colorFamily(rgb);
+  // Navy reads as a neutral in clothing
+  const neutral = NEUTRAL_FAMILIES.has(family) || (family === "blue" && val < 0.35);
+  return { hex, label, hue, sat, val, family, neutral, ...extra };
+}
+
+export const hueGap = (a, b) => {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+};
+
+// Smallest arc of the wheel containing every hue
+function arcSpread(hues) {
+  if (hues.length < 2) return 0;
+  const sorted = [...hues].sort((a, b) => a - b);
+  const gaps = sorted.map((h, i) => (i === sorted.length - 1 ? sorted[0] + 360 - h : sorted[i + 1] - h));
+  return 360 - Math.max(...gaps);
+}
+
+// Groups hues lying within `width` degrees of their neighbour; returns one hue per group
+function hueGroups(hues, width = 30) {
+  if (!hues.length) return [];
+  const sorted = [...hues].sort((a, b) => a - b);
+  // Start right after the widest gap so no group wraps around 0°
+  const gaps = sorted.map((h, i) => (i === sorted.length - 1 ? sorted[0] + 360 - h : sorted[i + 1] - h));
+  const start = (gaps.indexOf(Math.max(...gaps)) + 1) % sorted.length;
+  const ordered = [...sorted.slice(start), ...sorted.slice(0, start).map((h) => h + 360)];
+  const groups = [[ordered[0]]];
+  ordered.slice(1).forEach((h, i) => {
+    if (h - ordered[i] <= width) groups[groups.length - 1].push(h);
+    else groups.push([h]);
+  });
+  return groups.map((g) => (g.reduce((sum, h) => sum + h, 0) / g.length) % 360);
+}
+
+function classify(points) {
+  const chroma = points.filter((p) => !p.neutral);
+  if (!chroma.length) return "neutral";
+  const hues = chroma.map((p) => p.hue);
+  const neutrals = points.length - chroma.length;
+  const spread = arcSpread(hues);
+  if (spread <= 20) return neutrals >= chroma.length ? "neutral-accent" : "monochrome";
+  if (spread <= 75) return "analogous";
+
+  const groups = hueGroups(hues);
+  if (groups.length === 2 && hueGap(groups[0], groups[1]) >= 150) return "complementary";
+  if (groups.length === 3) {
+    const pairs = [[0, 1], [1, 2], [0, 2]].map(([a, b]) => hueGap(groups[a], groups[b]));
+    if (pairs.every((d) => d >= 80 && d <= 160)) return "triadic";
+    // Split complementary: one hue opposite a pair of neighbours
+    if (groups.some((g, i) => groups.every((o, j) => i === j || hueGap(g, o) >= 135))) return "complementary";
+  }
+  return "mixed";
+}
+
+function clashReason(a, b, scheme) {
+  if (a.neutral || b.neutral) return null;
+  if (Math.min(a.sat, b.sat) < STRONG || Math.min(a.val, b.val) < STRONG) return null;
+  // About a quarter-turn apart: too far to blend, too close to contrast
+  const d = hueGap(a.hue, b.hue);
+  return d > 75 && d < 105 && scheme !== "triadic" ? "strong hues that compete" : null;
+}
+
+/**
+ * @param {ReturnType<typeof colorPoint>[]} points
+ * @returns {{ scheme: keyof HARMONIES, clashes: { a: number, b: number, reason: string }[] }}
+ */
+export function analyzeHarmony(points) {
+  const scheme = classify(points);
+  const clashes = [];
+  for (let a = 0; a < points.length; a++) {
+    for (let b = a + 1; b < points.length; b++) {
+      const reason = clashReason(points[a], points[b], scheme);
+      if (reason) clashes.push({ a, b, reason });
+    }
+  }
+  return { scheme, clashes };
+}
@@ -0,0 +1,77 @@
+// Recommendation history in IndexedDB: each run's parameters, anchor image and
+// raw response, so a result can be restored offline or re-run later.
+import { withStore } from "./db";
+import { newItemId } from "./wardrobeStore";
+
+const STORE = "history";
+export const HISTORY_LIMIT = 50;
+
+export async function loadHistory() {
+  const records = await withStore(STORE, "readonly", (store) => store.getAll());
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Small JPEG preview for the history list
+export async function makeThumbnail(file, size = 160) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  try {
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const canvas = Object.assign(document.createElement("canvas"), {
+      width: Math.max(1, Math.round(bitmap.width * scale)),
+      height: Math.max(1, Math.round(bitmap.height * scale)),
+    });
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return await new Promise((resolve, reject) =>
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Encoding failed"))), "image/jpeg", 0.8)
+    );
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+/**
+ * @param {{ tab: "catalog" | "wardrobe", params: object, response: object,
+ *   anchors?: { file: File, source: { itemId: string, bucket: string } | null }[], itemIds?: Record<string, string[]> }} run
+ */
+export async function createHistoryEntry({ tab, params, response, anchors = [], itemIds = null }) {
+  const stored = [];
+  for (const { file, source } of anchors) {
+    let thumb = null;
+    try {
+      thumb = await makeThumbnail(file);
+    } catch (e) {
+      console.warn("History thumbnail failed:", e);
+    }
+    stored.push({ blob: file, name: file.name, type: file.type, source: source || null, thumb });
+  }
+  return {
+    id: newItemId(),
+    createdAt: Date.now(),
+    tab,
+    params,
+    anchors: stored,
+    itemIds, // wardrobe runs: bucket -> item ids that were sent
+    response,
+  };
+}
+
+// Store a run and drop the oldest entries beyond `limit`; resolves with the ids removed
+export async function addHistory(entry, limit = HISTORY_LIMIT) {
+  await withStore(STORE, "readwrite", (store) => store.put(entry));
+  const all = await loadHistory();
+  const stale = all.slice(limit).map((e) => e.id);
+  if (stale.length) await withStore(STORE, "readwrite", (store) => stale.forEach((id) => store.delete(id)));
+  return stale;
+}
+
+export const deleteHistory = (id) => withStore(STORE, "readwrite", (store) => store.delete(id));
+
+export const clearHistory = () => withStore(STORE, "readwrite", (store) => store.clear());
+
+const toFile = (a) => new File([a.blob], a.name || "anchor.jpg", { type: a.type || a.blob.type });
+
+// Entries written before multi-anchor support kept a single `anchor` + `anchorSource`
+export function historyAnchors(entry) {
+  if (entry.anchors) return entry.anchors.map((a) => ({ file: toFile(a), source: a.source, thumb: a.thumb }));
+  return entry.anchor ? [{ file: toFile(entry.anchor), source: entry.anchorSource || null, thumb: entry.thumb }] : [];
+}
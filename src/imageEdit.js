@@ -0,0 +1,127 @@
+// Canvas operations behind the wardrobe item editor: rotate, crop and simple
+// background cleanup (flood fill from the edges or colour keying).
+import { documentCanvas } from "./workerRpc";
+
+export const DEFAULT_EDITS = {
+  rotation: 0, // quarter turns clockwise, 0-3
+  crop: { left: 0, top: 0, right: 0, bottom: 0 }, // fractions trimmed from each side
+  background: { mode: "none", tolerance: 18, key: "#ffffff", backdrop: "#ffffff" },
+};
+
+export const hexToRgb = (hex) => {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+export const rgbToHex = (r, g, b) => `#${[r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("")}`;
+
+// tolerance 0-100 -> squared RGB distance threshold
+const threshold = (tolerance) => {
+  const t = (tolerance / 100) * 441.67; // 441.67 = max RGB distance
+  return t * t;
+};
+
+const dist2 = (d, i, r, g, b) => (d[i] - r) ** 2 + (d[i + 1] - g) ** 2 + (d[i + 2] - b) ** 2;
+
+// Replace every pixel close to `key` with the backdrop colour
+export function colorKey(imageData, { key, tolerance, backdrop }) {
+  const d = imageData.data;
+  const [kr, kg, kb] = hexToRgb(key);
+  const [br, bg, bb] = hexToRgb(backdrop);
+  const max = threshold(tolerance);
+  for (let i = 0; i < d.length; i += 4) {
+    if (dist2(d, i, kr, kg, kb) <= max) {
+      d[i] = br; d[i + 1] = bg; d[i + 2] = bb; d[i + 3] = 255;
+    }
+  }
+  return imageData;
+}
+
+// Flood fill from every border pixel, spreading through neighbours whose colour
+// stays close to the border colour they were reached from.
+export function floodFillBackground(imageData, { tolerance, backdrop }) {
+  const { width: w, height: h, data: d } = imageData;
+  const [br, bg, bb] = hexToRgb(backdrop);
+  const max = threshold(tolerance);
+  const visited = new Uint8Array(w * h);
+  const seedColor = new Uint32Array(w * h); // packed rgb of the seed that reached a pixel
+  const stack = [];
+
+  const push = (p, rgb) => {
+    if (visited[p]) return;
+    visited[p] = 1;
+    seedColor[p] = rgb;
+    stack.push(p);
+  };
+  const packed = (p) => (d[p * 4] << 16) | (d[p * 4 + 1] << 8) | d[p * 4 + 2];
+
+  for (let x = 0; x < w; x++) { push(x, packed(x)); push((h - 1) * w + x, packed((h - 1) * w + x)); }
+  for (let y = 0; y < h; y++) { push(y * w, packed(y * w)); push(y * w + w - 1, packed(y * w + w - 1)); }
+
+  while (stack.length) {
+    const p = stack.pop();
+    const rgb = seedColor[p];
+    const i = p * 4;
+    if (dist2(d, i, rgb >> 16, (rgb >> 8) & 255, rgb & 255) > max) continue;
+    d[i] = br; d[i + 1] = bg; d[i + 2] = bb; d[i + 3] = 255;
+    const x = p % w;
+    if (x > 0) push(p - 1, rgb);
+    if (x < w - 1) push(p + 1, rgb);
+    if (p >= w) push(p - w, rgb);
+    if (p < w * (h - 1)) push(p + w, rgb);
+  }
+  return imageData;
+}
+
+/**
+ * Apply `edits` to a decoded image, optionally capped at `maxSize` px.
+ * @returns {HTMLCanvasElement}
+ */
+export function applyEdits(bitmap, edits, maxSize = Infinity) {
+  const turns = ((edits.rotation % 4) + 4) % 4;
+  const sideways = turns % 2 === 1;
+  const rw = sideways ? bitmap.height : bitmap.width;
+  const rh = sideways ? bitmap.width : bitmap.height;
+
+  const { left, top, right, bottom } = edits.crop;
+  const sx = Math.round(rw * left);
+  const sy = Math.round(rh * top);
+  const sw = Math.max(1, Math.round(rw * (1 - left - right)));
+  const sh = Math.max(1, Math.round(rh * (1 - top - bottom)));
+  const scale = Math.min(1, maxSize / Math.max(sw, sh));
+
+  const out = documentCanvas(Math.max(1, Math.round(sw * scale)), Math.max(1, Math.round(sh * scale)));
+  const ctx = out.getContext("2d", { willReadFrequently: true });
+  ctx.fillStyle = edits.background.backdrop;
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.scale(scale, scale);
+  ctx.translate(-sx, -sy);
+  // Rotate the full image about the origin, then shift it back into view
+  ctx.translate(turns === 1 || turns === 2 ? rw : 0, turns === 2 || turns === 3 ? rh : 0);
+  ctx.rotate((turns * Math.PI) / 2);
+  ctx.drawImage(bitmap, 0, 0);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+  const bgMode = edits.background.mode;
+  if (bgMode !== "none") {
+    const imageData = ctx.getImageData(0, 0, out.width, out.height);
+    if (bgMode === "flood") floodFillBackground(imageData, edits.background);
+    else if (bgMode === "key") colorKey(imageData, edits.background);
+    ctx.putImageData(imageData, 0, 0);
+  }
+  return out;
+}
+
+export async function renderEditedFile(file, edits, quality = 0.92) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  try {
+    const canvas = applyEdits(bitmap, edits);
+    const blob = await new Promise((resolve, reject) =>
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Encoding failed"))), "image/jpeg", quality)
+    );
+    const base = file.name.replace(/\.[^.]+$/, "") || "item";
+    return new File([blob], `${base}.jpg`, { type: "image/jpeg", lastModified: Date.now() });
+  } finally {
+    bitmap.close?.();
+  }
+}
@@ -0,0 +1,133 @@
+// Perceptual fingerprints for duplicate detection on upload: a 64-bit DCT hash
+// of the greyscale image plus its mean colour (so the same cut in another colour
+// isn't flagged). Runs in imageHash.worker.js when OffscreenCanvas is available.
+import { documentCanvas, runInWorkerOrMain } from "./workerRpc";
+import { crc32 } from "./zip";
+
+export const NEAR_DISTANCE = 10; // max differing hash bits for a near-duplicate
+const COLOR_DISTANCE = 48; // max RGB distance between mean colours for a near-duplicate
+
+const SIZE = 32;
+const LOW = 8;
+
+const createWorker = () => new Worker(new URL("./imageHash.worker.js", import.meta.url), { type: "module" });
+
+// DCT-II basis, only the low-frequency rows are needed
+const COS = Array.from({ length: LOW }, (_, u) =>
+  Float64Array.from({ length: SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SIZE)))
+);
+
+function phash(grey) {
+  const rows = Array.from({ length: SIZE }, (_, y) =>
+    COS.map((basis) => basis.reduce((sum, c, x) => sum + c * grey[y * SIZE + x], 0))
+  );
+  const coeffs = [];
+  for (let v = 0; v < LOW; v++) {
+    for (let u = 0; u < LOW; u++) coeffs.push(rows.reduce((sum, row, y) => sum + COS[v][y] * row[u], 0));
+  }
+  // Median without the DC term, which only tracks overall brightness
+  const sorted = coeffs.slice(1).sort((a, b) => a - b);
+  const median = sorted[sorted.length >> 1];
+  let hex = "";
+  for (let i = 0; i < coeffs.length; i += 4) {
+    hex += ((coeffs[i] > median) << 3 | (coeffs[i + 1] > median) << 2 | (coeffs[i + 2] > median) << 1 | (coeffs[i + 3] > median)).toString(16);
+  }
+  return hex;
+}
+
+// Perceptual hash and mean colour of a decoded image, drawn into a canvas from `makeCanvas`
+export function fingerprintBitmap(bitmap, makeCanvas) {
+  const ctx = makeCanvas(SIZE, SIZE).getContext("2d", { willReadFrequently: true });
+  ctx.fillStyle = "#fff"; // transparent cut-outs hash against white
+  ctx.fillRect(0, 0, SIZE, SIZE);
+  ctx.drawImage(bitmap, 0, 0, SIZE, SIZE);
+  bitmap.close?.();
+
+  const { data } = ctx.getImageData(0, 0, SIZE, SIZE);
+  const grey = new Float64Array(SIZE * SIZE);
+  const color = [0, 0, 0];
+  for (let i = 0; i < grey.length; i++) {
+    const [r, g, b] = [data[i * 4], data[i * 4 + 1], data[i * 4 + 2]];
+    grey[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    color[0] += r;
+    color[1] += g;
+    color[2] += b;
+  }
+  return { phash: phash(grey), color: color.map((c) => Math.round(c / grey.length)) };
+}
+
+// Byte-level identity; size + CRC is plenty to tell wardrobe photos apart
+export async function contentDigest(file) {
+  return `${file.size.toString(16)}-${crc32(new Uint8Array(await file.arrayBuffer())).toString(16)}`;
+}
+
+async function fingerprintOnMainThread({ file }) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  return { ...fingerprintBitmap(bitmap, documentCanvas), digest: await contentDigest(file) };
+}
+
+/** @returns {Promise<{ phash: string, color: number[], digest: string }>} */
+export const fingerprintFile = (file) =>
+  runInWorkerOrMain(createWorker, "hash", { file }, fingerprintOnMainThread, { cacheKey: "" });
+
+const POPCOUNT = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+export function hammingDistance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < a.length; i++) bits += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  return bits;
+}
+
+const colorDistance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+/**
+ * Sort incoming wardrobe items against everything already in the wardrobe (all
+ * buckets) and against each other. Exact copies are rejected; near-duplicates
+ * are returned with their closest match so the user can decide.
+ * Items that can't be decoded are accepted unchecked.
+ * @param {{ id: string, file: File }[]} incoming
+ * @param {string} bucket bucket the incoming items are being added to
+ * @param {{ item: { id: string, file: File }, bucket: string }[]} existing
+ */
+export async function checkDuplicates(incoming, bucket, existing) {
+  const known = [];
+  for (const entry of existing) {
+    try {
+      known.push({ ...entry, print: await fingerprintFile(entry.item.file) });
+    } catch (e) {
+      console.warn("Couldn't fingerprint", entry.item.file.name, e);
+    }
+  }
+
+  const accepted = [];
+  const exact = [];
+  const near = [];
+  for (const item of incoming) {
+    let print;
+    try {
+      print = await fingerprintFile(item.file);
+    } catch (e) {
+      console.warn("Couldn't fingerprint", item.file.name, e);
+      accepted.push(item);
+      continue;
+    }
+
+    const same = known.find((k) => k.print.digest === print.digest);
+    if (same) {
+      exact.push({ item, match: { item: same.item, bucket: same.bucket } });
+      continue;
+    }
+    const closest = known
+      .map((k) => ({ k, distance: hammingDistance(k.print.phash, print.phash) }))
+      .filter(({ k, distance }) => distance <= NEAR_DISTANCE && colorDistance(k.print.color, print.color) <= COLOR_DISTANCE)
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (closest) {
+      near.push({ item, match: { item: closest.k.item, bucket: closest.k.bucket }, distance: closest.distance });
+    } else {
+      accepted.push(item);
+      // Later files in the same drop are checked against this one too
+      known.push({ item, bucket, print });
+    }
+  }
+  return { accepted, exact, near };
+}
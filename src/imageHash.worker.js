@@ -0,0 +1,14 @@
+// Duplicate-detection fingerprints off the main thread (see imageHash.js)
+import { contentDigest, fingerprintBitmap } from "./imageHash";
+import { offscreenCanvas } from "./workerRpc";
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    if (type !== "hash") throw new Error(`Unknown job: ${type}`);
+    const bitmap = await createImageBitmap(payload.file, { imageOrientation: "from-image" });
+    const print = fingerprintBitmap(bitmap, offscreenCanvas);
+    self.postMessage({ id, result: { ...print, digest: await contentDigest(payload.file) } });
+  } catch (e) {
+    self.postMessage({ id, error: String(e?.message || e) });
+  }
+};
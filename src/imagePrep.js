@@ -0,0 +1,69 @@
+// Client-side upload preprocessing: EXIF orientation, metadata stripping and
+// downscaling. Runs in imagePrep.worker.js when OffscreenCanvas is available.
+import { documentCanvas, runInWorkerOrMain } from "./workerRpc";
+
+export const DEFAULT_PREP_SETTINGS = { enabled: true, maxDimension: 1600, quality: 0.85 };
+
+const EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp" };
+
+const createWorker = () => new Worker(new URL("./imagePrep.worker.js", import.meta.url), { type: "module" });
+
+function hasTransparency(ctx, w, h) {
+  const { data } = ctx.getImageData(0, 0, w, h);
+  for (let i = 3; i < data.length; i += 4) if (data[i] < 255) return true;
+  return false;
+}
+
+// Downscale into a canvas from `makeCanvas(w, h)` and re-encode
+export async function encodeImage(bitmap, { maxDimension, quality, type }, makeCanvas) {
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = makeCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  // Photos saved as PNG/WebP without transparency are much smaller as JPEG
+  const outType = type !== "image/jpeg" && hasTransparency(ctx, width, height) ? type : "image/jpeg";
+  const blob = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: outType, quality })
+    : await new Promise((resolve, reject) => canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Encoding failed"))), outType, quality));
+  return { blob, width, height };
+}
+
+async function encodeOnMainThread(payload) {
+  const bitmap = await createImageBitmap(payload.file, { imageOrientation: "from-image" });
+  return encodeImage(bitmap, payload, documentCanvas);
+}
+
+/**
+ * @param {File} file
+ * @param {{ maxDimension?: number, quality?: number }} [settings]
+ * @returns {Promise<{ file: File, before: number, after: number }>}
+ */
+export async function preprocessImage(file, { maxDimension = DEFAULT_PREP_SETTINGS.maxDimension, quality = DEFAULT_PREP_SETTINGS.quality } = {}) {
+  const payload = { file, maxDimension, quality, type: file.type === "image/jpg" ? "image/jpeg" : file.type };
+  const result = await runInWorkerOrMain(createWorker, "prep", payload, encodeOnMainThread);
+
+  const base = file.name.replace(/\.[^.]+$/, "") || "image";
+  const out = new File([result.blob], `${base}${EXTENSIONS[result.blob.type] || ".jpg"}`, {
+    type: result.blob.type,
+    lastModified: file.lastModified,
+  });
+  return { file: out, before: file.size, after: out.size };
+}
+
+// Process a batch; files that fail to decode are passed through unchanged
+export async function preprocessImages(files, settings) {
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push(await preprocessImage(file, settings));
+    } catch (e) {
+      console.warn("Skipping preprocessing for", file.name, e);
+      results.push({ file, before: file.size, after: file.size });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,15 @@
+// Image preprocessing off the main thread: decode (applying EXIF orientation),
+// downscale and re-encode. Re-encoding drops all metadata, including GPS tags.
+import { encodeImage } from "./imagePrep";
+import { offscreenCanvas } from "./workerRpc";
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    if (type !== "prep") throw new Error(`Unknown job: ${type}`);
+    const bitmap = await createImageBitmap(payload.file, { imageOrientation: "from-image" });
+    const result = await encodeImage(bitmap, payload, offscreenCanvas);
+    self.postMessage({ id, result });
+  } catch (e) {
+    self.postMessage({ id, error: String(e?.message || e) });
+  }
+};
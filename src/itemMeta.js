@@ -0,0 +1,26 @@
+// Editable per-item metadata for wardrobe pieces
+
+export const FORMALITY_LEVELS = ["casual", "smart-casual", "business", "formal"];
+export const SEASONS = ["all-season", "spring", "summer", "autumn", "winter"];
+export const WARMTH_LEVELS = [1, 2, 3, 4, 5]; // 1 = very light, 5 = very warm
+
+export const emptyMeta = () => ({ name: "", color: "", formality: "", season: "", warmth: null, tags: [] });
+
+// Coerce whatever was stored (older records, imports) into the current shape
+export function normalizeMeta(meta) {
+  const m = { ...emptyMeta(), ...(meta && typeof meta === "object" ? meta : {}) };
+  return {
+    name: String(m.name || "").slice(0, 80),
+    color: /^#[0-9a-f]{6}$/i.test(m.color) ? m.color.toLowerCase() : "",
+    formality: FORMALITY_LEVELS.includes(m.formality) ? m.formality : "",
+    season: SEASONS.includes(m.season) ? m.season : "",
+    warmth: WARMTH_LEVELS.includes(Number(m.warmth)) ? Number(m.warmth) : null,
+    tags: Array.isArray(m.tags) ? [...new Set(m.tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))] : [],
+  };
+}
+
+export const hasMeta = (meta) =>
+  !!meta && !!(meta.name || meta.color || meta.formality || meta.season || meta.warmth || meta.tags?.length);
+
+export const itemLabel = (item, slot, idx) =>
+  item?.meta?.name || `${slot.replace(/s$/, "").replace(/^\w/, (c) => c.toUpperCase())} ${idx + 1}`;
@@ -0,0 +1,33 @@
+// Saved outfits ("lookbook"), persisted in IndexedDB next to the wardrobe items they reference
+import { withStore } from "./db";
+import { newItemId } from "./wardrobeStore";
+
+const STORE = "outfits";
+
+// Same set of items => same outfit, regardless of order
+export const outfitKey = (parts) => parts.map((p) => p.itemId).sort().join("|");
+
+export async function loadOutfits() {
+  const records = await withStore(STORE, "readonly", (store) => store.getAll());
+  return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function createOutfit(combo, weather) {
+  return {
+    id: newItemId(),
+    key: outfitKey(combo.parts),
+    savedAt: Date.now(),
+    parts: combo.parts.map(({ slot, itemId }) => ({ slot, itemId })),
+    score: combo.score ?? null,
+    explain: combo.explain ?? null,
+    weather: weather
+      ? { temp_c: weather.temp_c, feels_like: weather.feels_like, hint: weather.hint, rain_likelihood: weather.rain_likelihood }
+      : null,
+    note: "",
+    tags: [],
+  };
+}
+
+export const putOutfit = (outfit) => withStore(STORE, "readwrite", (store) => store.put(outfit));
+
+export const deleteOutfit = (id) => withStore(STORE, "readwrite", (store) => store.delete(id));
@@ -0,0 +1,216 @@
+// In-browser stand-in for the Python backend. `createMockFetch` returns a
+// fetch-compatible function that serves fixture responses for the endpoints
+// the app calls, with configurable latency and error injection.
+
+export const DEFAULT_MOCK_CONFIG = { enabled: false, latencyMs: 600, errorRate: 0, errorKind: "server" };
+
+const CATALOG = {
+  tops: [
+    ["Oxford shirt", "#dbe4f0"], ["Striped breton tee", "#1f2a44"], ["Linen camp shirt", "#e8dcc4"],
+    ["Merino crewneck", "#7a1f2b"], ["Cropped knit polo", "#c9a66b"], ["Silk blouse", "#f4e1e6"],
+    ["Graphic tee", "#2d2d2d"], ["Chambray shirt", "#6f8fb3"],
+  ],
+  bottoms: [
+    ["Straight-leg jeans", "#33507a"], ["Pleated chinos", "#b89b72"], ["Wide-leg trousers", "#3b3b3b"],
+    ["Cargo pants", "#5b6140"], ["Midi slip skirt", "#d8c3a5"], ["Tailored shorts", "#8c9aa6"],
+  ],
+  outerwear: [
+    ["Trench coat", "#c2a878"], ["Denim jacket", "#4f6d8f"], ["Wool overcoat", "#2f3033"],
+    ["Quilted liner", "#556b4f"], ["Leather biker", "#1a1a1a"], ["Rain shell", "#e0b12f"],
+  ],
+  footwear: [
+    ["White leather sneakers", "#f2f2f2"], ["Chelsea boots", "#4a3226"], ["Suede loafers", "#8a6a4a"],
+    ["Canvas high-tops", "#b23a3a"], ["Running trainers", "#9aa5b1"], ["Strappy sandals", "#d9b38c"],
+  ],
+};
+
+const RULE_NOTES = [
+  "Two statement patterns compete",
+  "Formality mismatch between top and footwear",
+  "Heavy outerwear for current temperature",
+  "Open footwear with rain expected",
+  "Three or more saturated colours",
+];
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Small seeded PRNG so the same request yields the same fixtures
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (n, d = 2) => Number(n.toFixed(d));
+
+function swatch(title, color) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">` +
+    `<rect width="400" height="400" fill="#f8fafc"/>` +
+    `<rect x="80" y="60" width="240" height="280" rx="36" fill="${color}"/>` +
+    `<text x="200" y="380" font-family="sans-serif" font-size="20" text-anchor="middle" fill="#475569">${title}</text>` +
+    `</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+function mockWeather(lat, lon) {
+  const rand = rng(hashString(`${lat.toFixed(1)},${lon.toFixed(1)}`));
+  const temp = round(28 - Math.abs(lat) * 0.45 + (rand() - 0.5) * 8, 1);
+  const rain = Math.round(rand() * 90);
+  const hint = rain > 60 ? "rain" : temp >= 26 ? "hot" : temp <= 10 ? "cold" : "mild";
+  return {
+    temp_c: temp,
+    feels_like: round(temp - rand() * 3, 1),
+    precip_mm: rain > 60 ? round(rand() * 6, 1) : 0,
+    wind_kph: round(rand() * 30, 1),
+    humidity: Math.round(40 + rand() * 50),
+    code: rain > 60 ? 61 : 2,
+    hint,
+    temp_trend: ["warming", "cooling", "stable"][Math.floor(rand() * 3)],
+    rain_likelihood: rain,
+  };
+}
+
+function mockAnalytics(lat, lon) {
+  const wx = mockWeather(lat, lon);
+  const month = new Date().getMonth();
+  const north = lat >= 0;
+  const seasons = ["winter", "winter", "spring", "spring", "spring", "summer", "summer", "summer", "autumn", "autumn", "autumn", "winter"];
+  const season = seasons[north ? month : (month + 6) % 12];
+  return {
+    seasonal_context: season,
+    temperature: { avg: round(wx.temp_c - 1, 1), min: round(wx.temp_c - 6, 1), max: round(wx.temp_c + 4, 1) },
+  };
+}
+
+function mockForecast(lat, lon, days) {
+  const wx = mockWeather(lat, lon);
+  const rand = rng(hashString(`daily:${lat.toFixed(1)},${lon.toFixed(1)}`));
+  const today = new Date();
+  const daily = Array.from({ length: days }, (_, i) => {
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
+    const mid = wx.temp_c + (rand() - 0.5) * 10;
+    const rain = Math.round(rand() * 100);
+    return {
+      date: `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`,
+      temp_min: round(mid - 4, 1),
+      temp_max: round(mid + 4, 1),
+      precip_mm: rain > 60 ? round(rand() * 8, 1) : 0,
+      rain_likelihood: rain,
+      wind_kph: round(rand() * 35, 1),
+    };
+  });
+  return { daily };
+}
+
+async function mockRecommend(url, body) {
+  const q = url.searchParams;
+  const allow = (q.get("allow_types") || "").split(",").filter((b) => CATALOG[b]);
+  const perBucket = Number(q.get("per_bucket")) || 5;
+  const topk = Number(q.get("topk")) || 20;
+  const image = body?.get?.("image");
+  const rand = rng(hashString(`${image?.name}:${image?.size}:${q.get("anchor_color_mode")}`));
+  const all = Object.values(CATALOG).flat();
+  const anchor = all[Math.floor(rand() * all.length)][1];
+
+  const items = allow.flatMap((bucket) =>
+    CATALOG[bucket].slice(0, perBucket).map(([title, color], i) => ({
+      item_id: `${bucket}-${String(i + 1).padStart(3, "0")}`,
+      title,
+      category: bucket === "footwear" ? "shoes" : bucket.replace(/s$/, ""),
+      bucket,
+      score: round(0.45 + rand() * 0.5, 4),
+      preview_url: swatch(title, color),
+    }))
+  );
+  items.sort((a, b) => b.score - a.score);
+  return { anchor_color: anchor, items: items.slice(0, topk) };
+}
+
+function mockWardrobe(body) {
+  const counts = Object.fromEntries(Object.keys(CATALOG).map((b) => [b, body?.getAll?.(b)?.length || 0]));
+  const topk = Number(body?.get?.("topk")) || 10;
+  let weather = null;
+  try { weather = JSON.parse(body?.get?.("weather_json") || "null"); } catch { /* ignore */ }
+  const hint = weather?.hint || body?.get?.("weather_hint") || "mild";
+  const rand = rng(hashString(JSON.stringify(counts) + hint));
+
+  const slots = Object.keys(counts).filter((b) => counts[b] > 0);
+  const combos = [];
+  const seen = new Set();
+  for (let tries = 0; combos.length < topk && tries < topk * 20; tries++) {
+    const parts = slots
+      .filter((b) => b === "tops" || b === "bottoms" || rand() > (b === "outerwear" && hint === "hot" ? 0.85 : 0.35))
+      .map((slot) => ({ slot, idx: Math.floor(rand() * counts[slot]) }));
+    if (parts.length < 2) continue;
+    const key = parts.map((p) => `${p.slot}${p.idx}`).join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const compat = round(0.5 + rand() * 0.45);
+    const wxScore = round(0.4 + rand() * 0.6);
+    const violations = rand() > 0.65 ? [RULE_NOTES[Math.floor(rand() * RULE_NOTES.length)]] : [];
+    combos.push({
+      parts,
+      score: round(compat * 0.7 + wxScore * 0.3 - violations.length * 0.05, 4),
+      explain: {
+        compat,
+        weather: wxScore,
+        temp_c: weather?.temp_c ?? 18,
+        rain_likelihood: weather?.rain_likelihood ?? 0,
+        wx_hint: hint,
+        fashion_rules: { violations },
+      },
+    });
+  }
+  combos.sort((a, b) => b.score - a.score);
+  return { items: combos };
+}
+
+const json = (status, data) =>
+  new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json" } });
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => {
+    clearTimeout(t);
+    reject(new DOMException("Aborted", "AbortError"));
+  }, { once: true });
+});
+
+export function createMockFetch({ latencyMs = 600, errorRate = 0, errorKind = "server" } = {}) {
+  return async (input, init = {}) => {
+    const url = new URL(String(input), "http://mock.local");
+    const path = url.pathname.replace(/\/+$/, "");
+    // Light endpoints answer faster than the model ones
+    const heavy = path.endsWith("/recommend");
+    await delay(heavy ? latencyMs : latencyMs / 3, init.signal);
+
+    if (errorRate > 0 && Math.random() < errorRate) {
+      if (errorKind === "network") throw new TypeError("Failed to fetch (mock)");
+      return json(500, { detail: "Mock backend: injected failure" });
+    }
+
+    const lat = Number(url.searchParams.get("lat")) || 0;
+    const lon = Number(url.searchParams.get("lon")) || 0;
+    if (path.endsWith("/health")) return json(200, { engine_loaded: true, device: "mock", catalog_size: Object.values(CATALOG).flat().length });
+    if (path.endsWith("/weather/forecast")) return json(200, mockForecast(lat, lon, Number(url.searchParams.get("days")) || 7));
+    if (path.endsWith("/weather/analytics")) return json(200, mockAnalytics(lat, lon));
+    if (path.endsWith("/weather")) return json(200, mockWeather(lat, lon));
+    if (path.endsWith("/feedback")) return json(200, { ok: true });
+    if (path.endsWith("/wardrobe/recommend")) return json(200, mockWardrobe(init.body));
+    if (path.endsWith("/recommend")) return json(200, await mockRecommend(url, init.body));
+    return json(404, { detail: `Mock backend: no fixture for ${path}` });
+  };
+}
@@ -0,0 +1,214 @@
+// Dominant-colour palettes for wardrobe photos, computed in the browser (the
+// backend only reports a single anchor colour for catalog searches). Runs in
+// palette.worker.js when OffscreenCanvas is available.
+import { documentCanvas, runInWorkerOrMain } from "./workerRpc";
+import { rgbToHex } from "./imageEdit";
+
+// The "auto" colour mode of the recommendation settings maps to k-means here
+export const paletteModeFor = (colorMode) => (colorMode === "hsv" ? "hsv" : "kmeans");
+
+const SIZE = 64;
+const MAX_SWATCHES = 5;
+const MIN_SWATCHES = 3;
+const MIN_SHARE = 0.05; // swatches beyond the first three need at least this share
+const MERGE_DISTANCE = 28; // k-means centres closer than this (RGB) are one colour
+
+export const COLOR_FAMILIES = [
+  { id: "black", label: "Black", swatch: "#1f2937" },
+  { id: "grey", label: "Grey", swatch: "#9ca3af" },
+  { id: "white", label: "White", swatch: "#f8fafc" },
+  { id: "beige", label: "Beige", swatch: "#e7d7b9" },
+  { id: "brown", label: "Brown", swatch: "#8b5a2b" },
+  { id: "red", label: "Red", swatch: "#dc2626" },
+  { id: "orange", label: "Orange", swatch: "#f97316" },
+  { id: "yellow", label: "Yellow", swatch: "#facc15" },
+  { id: "green", label: "Green", swatch: "#16a34a" },
+  { id: "blue", label: "Blue", swatch: "#2563eb" },
+  { id: "purple", label: "Purple", swatch: "#9333ea" },
+  { id: "pink", label: "Pink", swatch: "#ec4899" },
+];
+
+/** @returns {[number, number, number]} hue in degrees, saturation and value in 0..1 */
+export function rgbToHsv([r, g, b]) {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const d = max - min;
+  let h = 0;
+  if (d) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    if (max === rn) h = ((gn - bn) / d) % 6;
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    h = (h * 60 + 360) % 360;
+  }
+  return [h, max ? d / max : 0, max];
+}
+
+export function colorFamily(rgb) {
+  const [h, s, v] = rgbToHsv(rgb);
+  if (v < 0.2) return "black";
+  if (s < 0.15) return v > 0.85 ? "white" : v < 0.35 ? "black" : "grey";
+  if (h >= 15 && h < 50 && s < 0.4 && v > 0.65) return "beige";
+  if (h >= 10 && h < 45 && v < 0.6) return "brown";
+  if (h < 15 || h >= 345) return "red";
+  if (h < 40) return "orange";
+  if (h < 65) return "yellow";
+  if (h < 165) return "green";
+  if (h < 255) return "blue";
+  if (h < 290) return "purple";
+  return "pink";
+}
+
+const dist2 = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+// Opaque pixels, minus a plain studio backdrop when the image border is uniform
+function foregroundPixels(data) {
+  const pixels = [];
+  const border = [];
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const i = (y * SIZE + x) * 4;
+      if (data[i + 3] < 128) continue;
+      const px = [data[i], data[i + 1], data[i + 2]];
+      pixels.push(px);
+      if (x < 2 || y < 2 || x >= SIZE - 2 || y >= SIZE - 2) border.push(px);
+    }
+  }
+  if (border.length < SIZE) return pixels;
+
+  const mean = [0, 1, 2].map((c) => border.reduce((sum, p) => sum + p[c], 0) / border.length);
+  const spread = Math.sqrt(border.reduce((sum, p) => sum + dist2(p, mean), 0) / border.length);
+  if (spread > 24) return pixels;
+  const subject = pixels.filter((p) => dist2(p, mean) > 32 ** 2);
+  return subject.length >= pixels.length * 0.1 ? subject : pixels;
+}
+
+// 12 hue sectors for saturated pixels plus black/grey/white
+function hsvClusters(pixels) {
+  const bins = new Map();
+  pixels.forEach((p) => {
+    const [h, s, v] = rgbToHsv(p);
+    const key = v < 0.2 ? "k" : s < 0.15 ? (v > 0.85 ? "w" : "g") : `h${Math.floor(h / 30)}`;
+    const bin = bins.get(key) || { sum: [0, 0, 0], count: 0 };
+    bin.sum[0] += p[0];
+    bin.sum[1] += p[1];
+    bin.sum[2] += p[2];
+    bin.count++;
+    bins.set(key, bin);
+  });
+  return [...bins.values()].map(({ sum, count }) => ({ rgb: sum.map((c) => c / count), count }));
+}
+
+// Weighted k-means over a 5-bit-per-channel histogram; farthest-first seeding
+// keeps results deterministic for the same image.
+function kmeansClusters(pixels, k = MAX_SWATCHES, iterations = 12) {
+  const hist = new Map();
+  pixels.forEach((p) => {
+    const key = ((p[0] >> 3) << 10) | ((p[1] >> 3) << 5) | (p[2] >> 3);
+    const bin = hist.get(key) || { rgb: [0, 0, 0], count: 0 };
+    bin.rgb = bin.rgb.map((c, i) => c + p[i]);
+    bin.count++;
+    hist.set(key, bin);
+  });
+  const points = [...hist.values()].map((b) => ({ rgb: b.rgb.map((c) => c / b.count), count: b.count }));
+  if (!points.length) return [];
+
+  const centres = [points.reduce((best, p) => (p.count > best.count ? p : best)).rgb];
+  while (centres.length < Math.min(k, points.length)) {
+    const next = points.reduce((best, p) => {
+      const w = p.count * Math.min(...centres.map((c) => dist2(c, p.rgb)));
+      return w > best.w ? { p, w } : best;
+    }, { p: null, w: 0 });
+    if (!next.p) break;
+    centres.push(next.p.rgb);
+  }
+
+  let clusters = [];
+  for (let it = 0; it < iterations; it++) {
+    clusters = centres.map(() => ({ sum: [0, 0, 0], count: 0 }));
+    points.forEach((p) => {
+      let best = 0;
+      centres.forEach((c, i) => { if (dist2(c, p.rgb) < dist2(centres[best], p.rgb)) best = i; });
+      const cl = clusters[best];
+      for (let c = 0; c < 3; c++) cl.sum[c] += p.rgb[c] * p.count;
+      cl.count += p.count;
+    });
+    clusters.forEach((cl, i) => { if (cl.count) centres[i] = cl.sum.map((c) => c / cl.count); });
+  }
+  // k is an upper bound: clusters that ended up on the same colour are merged
+  const merged = [];
+  clusters
+    .map((cl, i) => ({ rgb: centres[i], count: cl.count }))
+    .filter((cl) => cl.count)
+    .sort((a, b) => b.count - a.count)
+    .forEach((cl) => {
+      const into = merged.find((m) => dist2(m.rgb, cl.rgb) < MERGE_DISTANCE ** 2);
+      if (!into) return merged.push(cl);
+      const total = into.count + cl.count;
+      into.rgb = into.rgb.map((c, i) => (c * into.count + cl.rgb[i] * cl.count) / total);
+      into.count = total;
+    });
+  return merged;
+}
+
+/**
+ * Palette of a decoded image, sampled at SIZE×SIZE in a canvas from `makeCanvas`.
+ * @returns {{ hex: string, share: number, family: string }[]} largest first
+ */
+export function extractPalette(bitmap, mode, makeCanvas) {
+  const ctx = makeCanvas(SIZE, SIZE).getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, SIZE, SIZE);
+  bitmap.close?.();
+
+  const pixels = foregroundPixels(ctx.getImageData(0, 0, SIZE, SIZE).data);
+  if (!pixels.length) return [];
+  const clusters = (mode === "hsv" ? hsvClusters(pixels) : kmeansClusters(pixels))
+    .sort((a, b) => b.count - a.count)
+    .map(({ rgb, count }) => {
+      const rounded = rgb.map(Math.round);
+      return { hex: rgbToHex(...rounded), share: count / pixels.length, family: colorFamily(rounded) };
+    });
+  return clusters.filter((c, i) => i < MIN_SWATCHES || c.share >= MIN_SHARE).slice(0, MAX_SWATCHES);
+}
+
+const createWorker = () => new Worker(new URL("./palette.worker.js", import.meta.url), { type: "module" });
+
+async function paletteOnMainThread({ file, mode }) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  return extractPalette(bitmap, mode, documentCanvas);
+}
+
+/** @param {File} file @param {"hsv" | "kmeans"} mode */
+export const filePalette = (file, mode) =>
+  runInWorkerOrMain(createWorker, "palette", { file, mode }, paletteOnMainThread, { cacheKey: mode });
+
+// An item belongs to every family covering a meaningful part of its palette
+export const paletteFamilies = (palette, minShare = 0.15) =>
+  [...new Set((palette || []).filter((s) => s.share >= minShare).map((s) => s.family))];
+
+const urlCache = new Map(); // `${mode}:${url}` -> Promise<palette>
+
+// Palette of a remote image (catalog previews). SVG can't be decoded by
+// createImageBitmap, so it is rasterised through an <img> on the main thread.
+export function urlPalette(url, mode) {
+  const key = `${mode}:${url}`;
+  if (!urlCache.has(key)) {
+    const job = (async () => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const blob = await res.blob();
+      if (blob.type !== "image/svg+xml") return filePalette(blob, mode);
+      const img = new Image();
+      img.src = URL.createObjectURL(blob);
+      try {
+        await img.decode();
+        return extractPalette(img, mode, documentCanvas);
+      } finally {
+        URL.revokeObjectURL(img.src);
+      }
+    })();
+    urlCache.set(key, job);
+    job.catch(() => urlCache.delete(key));
+  }
+  return urlCache.get(key);
+}
@@ -0,0 +1,13 @@
+// Palette extraction off the main thread (see palette.js)
+import { extractPalette } from "./palette";
+import { offscreenCanvas } from "./workerRpc";
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    if (type !== "palette") throw new Error(`Unknown job: ${type}`);
+    const bitmap = await createImageBitmap(payload.file, { imageOrientation: "from-image" });
+    self.postMessage({ id, result: extractPalette(bitmap, payload.mode, offscreenCanvas) });
+  } catch (e) {
+    self.postMessage({ id, error: String(e?.message || e) });
+  }
+};
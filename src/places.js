@@ -0,0 +1,70 @@
+// Saved places for weather context. Each place caches the last weather fetched
+// for it, so switching between places doesn't need a round trip.
+import { CITIES } from "./gazetteer";
+import { newItemId } from "./wardrobeStore";
+
+export const WEATHER_TTL = 10 * 60 * 1000;
+
+const fold = (s) => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+const INDEX = CITIES.map(([name, country, lat, lon], rank) => ({ name, country, lat, lon, rank, key: fold(name) }));
+
+/**
+ * Offline city search. "paris", "san fr" and "portland, us" all work; exact and
+ * prefix matches rank above matches inside the name.
+ * @returns {{ name: string, country: string, lat: number, lon: number }[]}
+ */
+export function searchCities(query, limit = 8) {
+  const [namePart, countryPart] = fold(query || "").split(",").map((s) => s.trim());
+  if (!namePart) return [];
+  const rankOf = (c) => {
+    if (c.key === namePart) return 0;
+    if (c.key.startsWith(namePart)) return 1;
+    if (c.key.split(/[\s-]+/).some((w) => w.startsWith(namePart))) return 2;
+    return c.key.includes(namePart) ? 3 : -1;
+  };
+  return INDEX
+    .filter((c) => !countryPart || fold(c.country) === countryPart)
+    .map((c) => ({ c, r: rankOf(c) }))
+    .filter(({ r }) => r >= 0)
+    .sort((a, b) => a.r - b.r || a.c.rank - b.c.rank)
+    .slice(0, limit)
+    .map(({ c }) => ({ name: c.name, country: c.country, lat: c.lat, lon: c.lon }));
+}
+
+/** @returns {{ lat: number, lon: number } | null} */
+export function parseCoords(lat, lon) {
+  const la = Number(String(lat).trim());
+  const lo = Number(String(lon).trim());
+  if (String(lat).trim() === "" || String(lon).trim() === "") return null;
+  if (!Number.isFinite(la) || !Number.isFinite(lo) || Math.abs(la) > 90 || Math.abs(lo) > 180) return null;
+  return { lat: Number(la.toFixed(4)), lon: Number(lo.toFixed(4)) };
+}
+
+export const formatCoords = ({ lat, lon }) => `${lat.toFixed(2)}, ${lon.toFixed(2)}`;
+
+/** @param {"gps" | "search" | "manual"} source */
+export const createPlace = (name, { lat, lon }, source) => ({
+  id: newItemId(),
+  name: name.trim() || formatCoords({ lat, lon }),
+  lat,
+  lon,
+  source,
+  weather: null,
+  analytics: null,
+  fetchedAt: null,
+});
+
+export const isWeatherFresh = (place, now = Date.now()) =>
+  Boolean(place?.weather && place.fetchedAt && now - place.fetchedAt < WEATHER_TTL);
+
+// Earlier versions stored a single `coords` + `liveWeather` pair
+export function legacyPlace() {
+  try {
+    const coords = JSON.parse(window.localStorage.getItem("coords") || "null");
+    if (!coords || !Number.isFinite(coords.lat) || !Number.isFinite(coords.lon)) return null;
+    const weather = JSON.parse(window.localStorage.getItem("liveWeather") || "null");
+    return { ...createPlace("Current location", coords, "gps"), weather, fetchedAt: weather ? 0 : null };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+// Weekly outfit planning: one /wardrobe/recommend call per forecast day, then a
+// greedy pick per day that avoids wearing the same pieces too often.
+import { isAbortError } from "./api";
+import { outfitKey } from "./lookbookStore";
+
+export const PLAN_DAYS = 7;
+// A piece may appear this many times in a week before it's heavily penalized
+export const MAX_USES_PER_WEEK = 2;
+
+const REUSE_PENALTY = 0.15;
+const OVERUSE_PENALTY = 0.5;
+
+export const isoDate = (d) => {
+  const local = new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+export function hintFor(tempC, rainLikelihood = 0) {
+  if (rainLikelihood > 60) return "rain";
+  if (tempC >= 26) return "hot";
+  if (tempC <= 10) return "cold";
+  return "mild";
+}
+
+/**
+ * Per-day weather context for the next `count` days from `api.forecast` entries.
+ * Days the forecast doesn't cover repeat the current reading and are marked
+ * `estimated`.
+ * @param {import("./api").DailyForecast[] | null} daily
+ */
+export function forecastDays(daily, current, count = PLAN_DAYS, start = new Date()) {
+  const byDate = new Map((Array.isArray(daily) ? daily : []).map((d) => [d.date, d]));
+  return Array.from({ length: count }, (_, i) => {
+    const date = isoDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    const d = byDate.get(date);
+    if (d) {
+      const temp = d.temp_min != null && d.temp_max != null ? (d.temp_min + d.temp_max) / 2 : current?.temp_c;
+      const rain = d.rain_likelihood ?? 0;
+      return {
+        date,
+        estimated: false,
+        weather: {
+          temp_c: temp,
+          feels_like: temp,
+          temp_min: d.temp_min,
+          temp_max: d.temp_max,
+          precip_mm: d.precip_mm ?? 0,
+          rain_likelihood: rain,
+          wind_kph: d.wind_kph,
+          hint: hintFor(temp, rain),
+        },
+      };
+    }
+    return { date, estimated: true, weather: current ? { ...current } : null };
+  });
+}
+
+export const comboItemIds = (combo) => combo.parts.map((p) => p.itemId).filter(Boolean);
+
+// How many times each item is worn across the given plan days
+export function usageCounts(days) {
+  const counts = new Map();
+  days.forEach((d) => d.outfit && comboItemIds(d.outfit).forEach((id) => counts.set(id, (counts.get(id) || 0) + 1)));
+  return counts;
+}
+
+/**
+ * Best candidate given what the rest of the week already wears.
+ * `otherDays` are the plan days other than the one being picked.
+ */
+export function pickOutfit(candidates, otherDays, { maxUses = MAX_USES_PER_WEEK, exclude = [] } = {}) {
+  const usage = usageCounts(otherDays);
+  const taken = new Set([...otherDays.filter((d) => d.outfit).map((d) => outfitKey(d.outfit.parts)), ...exclude]);
+  let best = null;
+  let bestValue = -Infinity;
+  candidates.forEach((combo) => {
+    if (!combo.parts.every((p) => p.itemId)) return;
+    const key = outfitKey(combo.parts);
+    if (taken.has(key)) return;
+    const value = (combo.score || 0) - comboItemIds(combo).reduce((acc, id) => {
+      const n = usage.get(id) || 0;
+      return acc + n * REUSE_PENALTY + (n >= maxUses ? OVERUSE_PENALTY : 0);
+    }, 0);
+    if (value > bestValue) {
+      best = combo;
+      bestValue = value;
+    }
+  });
+  return best;
+}
+
+export const planCombo = (combo) => ({
+  parts: combo.parts.map(({ slot, itemId }) => ({ slot, itemId })),
+  score: combo.score ?? null,
+  explain: combo.explain ?? null,
+});
+
+/**
+ * Fill every unpinned day. `fetchCombos(day)` returns candidate combos whose
+ * parts carry item ids. Days are planned in order so later days see earlier picks.
+ * A day whose request fails keeps `outfit: null` and an `error` message so it can
+ * be regenerated on its own; only cancellation stops the whole plan.
+ */
+export async function buildPlan(days, { fetchCombos, onProgress }) {
+  const plan = days.map((d) => ({ ...d }));
+  for (let i = 0; i < plan.length; i++) {
+    if (plan[i].pinned && plan[i].outfit) continue;
+    onProgress?.(i);
+    let candidates;
+    try {
+      candidates = await fetchCombos(plan[i]);
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      plan[i] = { ...plan[i], outfit: null, alternatives: [], error: e.message || String(e) };
+      continue;
+    }
+    const others = plan.filter((_, j) => j !== i && (j < i || plan[j].pinned));
+    const pick = pickOutfit(candidates, others);
+    plan[i] = { ...plan[i], outfit: pick ? planCombo(pick) : null, alternatives: candidates.map(planCombo), error: null };
+  }
+  return plan;
+}
@@ -0,0 +1,88 @@
+// Named tuning presets: a few built-ins plus user-created ones that can be shared
+// as a versioned JSON file.
+import { COLOR_MODES } from "./urlState";
+import { newItemId } from "./wardrobeStore";
+
+export const PRESET_FORMAT = "styleai-presets";
+export const PRESET_VERSION = 1;
+
+// setting -> validator; mirrors the ranges the settings panel and URL accept
+const SCHEMA = {
+  colorWeight: (v) => typeof v === "number" && v >= 0 && v <= 1,
+  styleWeight: (v) => typeof v === "number" && v >= 0 && v <= 1,
+  diversityWeight: (v) => typeof v === "number" && v >= 0 && v <= 1,
+  perBucket: (v) => Number.isInteger(v) && v >= 0 && v <= 10,
+  topk: (v) => Number.isInteger(v) && v >= 1 && v <= 9999,
+  colorMode: (v) => COLOR_MODES.includes(v),
+};
+export const PRESET_SETTINGS = Object.keys(SCHEMA);
+
+const builtin = (id, name, settings) => ({ id: `builtin:${id}`, name, builtin: true, settings });
+
+export const BUILTIN_PRESETS = [
+  builtin("balanced", "Balanced", { colorWeight: 0.15, styleWeight: 0.1, diversityWeight: 0.05, perBucket: 5, topk: 20, colorMode: "auto" }),
+  builtin("colour-first", "Colour-first", { colorWeight: 0.6, styleWeight: 0.1, diversityWeight: 0.05, perBucket: 5, topk: 20, colorMode: "kmeans" }),
+  builtin("style-first", "Style-first", { colorWeight: 0.05, styleWeight: 0.6, diversityWeight: 0.1, perBucket: 5, topk: 20, colorMode: "auto" }),
+  builtin("bold-mix", "Bold mix", { colorWeight: 0.1, styleWeight: 0.2, diversityWeight: 0.5, perBucket: 8, topk: 30, colorMode: "hsv" }),
+  builtin("quick-look", "Quick look", { colorWeight: 0.15, styleWeight: 0.1, diversityWeight: 0.05, perBucket: 3, topk: 10, colorMode: "auto" }),
+];
+
+/** @returns {string[]} problems; empty when `settings` is a complete, valid preset */
+export function validateSettings(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) return ["settings must be an object"];
+  return PRESET_SETTINGS.filter((key) => !SCHEMA[key](settings[key])).map((key) =>
+    key in settings ? `invalid ${key}: ${JSON.stringify(settings[key])}` : `missing ${key}`
+  );
+}
+
+export const pickSettings = (source) => Object.fromEntries(PRESET_SETTINGS.map((key) => [key, source[key]]));
+
+export const createPreset = (name, settings) => ({ id: newItemId(), name: name.trim(), settings: pickSettings(settings) });
+
+export const findMatchingPreset = (presets, settings) =>
+  presets.find((p) => PRESET_SETTINGS.every((key) => p.settings[key] === settings[key])) || null;
+
+export function exportPresets(presets) {
+  return JSON.stringify({
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets: presets.map((p) => ({ name: p.name, settings: pickSettings(p.settings) })),
+  }, null, 2);
+}
+
+/**
+ * Parse an exported presets file. Throws for files that aren't preset exports at
+ * all; individual invalid presets are skipped and reported.
+ * @returns {{ presets: { id: string, name: string, settings: object }[], skipped: { name: string, reason: string }[] }}
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  if (data?.format !== PRESET_FORMAT) throw new Error("Not a StyleAI presets file");
+  if (!Number.isInteger(data.version) || data.version > PRESET_VERSION) {
+    throw new Error(`Unsupported presets version ${data.version} (this app reads up to ${PRESET_VERSION})`);
+  }
+  if (!Array.isArray(data.presets)) throw new Error("File has no presets list");
+
+  const presets = [];
+  const skipped = [];
+  data.presets.forEach((entry, i) => {
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    if (!name) return skipped.push({ name: `#${i + 1}`, reason: "missing name" });
+    const problems = validateSettings(entry.settings);
+    if (problems.length) return skipped.push({ name, reason: problems.join(", ") });
+    presets.push(createPreset(name, entry.settings));
+  });
+  return { presets, skipped };
+}
+
+// Imported presets replace user presets with the same name
+export function mergePresets(existing, incoming) {
+  const names = new Set(incoming.map((p) => p.name.toLowerCase()));
+  return [...existing.filter((p) => !names.has(p.name.toLowerCase())), ...incoming];
+}
@@ -0,0 +1,103 @@
+// Trip packing: a small capsule of wardrobe pieces that covers every outfit of a
+// trip. Candidates come from /wardrobe/recommend, one request per kind of weather
+// in the destination's daily forecast, and days reuse the planner's forecast handling.
+import { outfitKey } from "./lookbookStore";
+import { forecastDays, isoDate, planCombo } from "./planner";
+
+export const MAX_TRIP_DAYS = 21;
+export const MAX_OUTFITS_PER_DAY = 3;
+
+// Cost of packing another piece for a slot that's already covered
+const EXTRA_PIECE_COST = 0.12;
+// Cost per earlier wear of the exact same outfit
+const REPEAT_PENALTY = 0.2;
+
+const dayMs = 24 * 60 * 60 * 1000;
+const noon = (iso) => new Date(`${iso}T12:00:00`);
+
+export const tripLength = (start, end) => Math.round((noon(end) - noon(start)) / dayMs) + 1;
+
+/** @returns {string} the first problem with the trip form, or "" */
+export function validateTrip({ destination, start, end, outfitsPerDay }) {
+  if (!destination) return "Pick a destination";
+  if (!start || !end) return "Choose the trip dates";
+  if (start < isoDate(new Date())) return "The trip can't start in the past";
+  const days = tripLength(start, end);
+  if (!(days >= 1)) return "The trip must end on or after the day it starts";
+  if (days > MAX_TRIP_DAYS) return `Trips can be up to ${MAX_TRIP_DAYS} days`;
+  if (!Number.isInteger(outfitsPerDay) || outfitsPerDay < 1 || outfitsPerDay > MAX_OUTFITS_PER_DAY) {
+    return `Choose 1 to ${MAX_OUTFITS_PER_DAY} outfits per day`;
+  }
+  return "";
+}
+
+// Only the first `FORECAST_DAYS` (16) days from today are forecast (`api.forecast`);
+// trip days after that repeat the destination's current weather (`estimated`)
+export const tripDays = (trip, daily, current) =>
+  forecastDays(daily, current, tripLength(trip.start, trip.end), noon(trip.start));
+
+export const weatherKey = (day) => day.weather?.hint || "mild";
+
+// One representative day per kind of weather, so each needs a single request
+export function weatherGroups(days) {
+  const groups = new Map();
+  days.forEach((d) => { if (!groups.has(weatherKey(d))) groups.set(weatherKey(d), d); });
+  return groups;
+}
+
+/**
+ * Greedy capsule: each outfit slot takes the candidate with the best score after
+ * charging for extra pieces in already-covered slots and for repeating an outfit.
+ * The first piece per slot is free, so the capsule still covers every kind of
+ * weather (e.g. outerwear for cold days) while staying small.
+ * @param {{ date: string, weather: object | null }[]} days
+ * @param {(day: object) => import("./api").Combo[]} candidatesFor combos with itemId-annotated parts
+ */
+export function buildCapsule(days, candidatesFor, outfitsPerDay) {
+  const packed = new Map(); // itemId -> slot
+  const worn = new Map(); // outfitKey -> wears
+  return days.map((day) => {
+    const today = new Set();
+    const outfits = [];
+    for (let n = 0; n < outfitsPerDay; n++) {
+      const coveredSlots = new Set(packed.values());
+      let best = null;
+      let bestValue = -Infinity;
+      candidatesFor(day).forEach((combo) => {
+        if (!combo.parts.length || !combo.parts.every((p) => p.itemId)) return;
+        const key = outfitKey(combo.parts);
+        if (today.has(key)) return;
+        const extra = combo.parts.filter((p) => !packed.has(p.itemId) && coveredSlots.has(p.slot)).length;
+        const value = (combo.score || 0) - extra * EXTRA_PIECE_COST - (worn.get(key) || 0) * REPEAT_PENALTY;
+        if (value > bestValue) {
+          best = combo;
+          bestValue = value;
+        }
+      });
+      if (!best) break;
+      const key = outfitKey(best.parts);
+      today.add(key);
+      worn.set(key, (worn.get(key) || 0) + 1);
+      best.parts.forEach((p) => packed.set(p.itemId, p.slot));
+      outfits.push(planCombo(best));
+    }
+    return { ...day, outfits };
+  });
+}
+
+/**
+ * Everything the schedule wears, grouped by bucket in `buckets` order.
+ * @returns {{ bucket: string, items: { itemId: string, wears: number }[] }[]}
+ */
+export function packingList(days, buckets) {
+  const byId = new Map();
+  days.forEach((d) => (d.outfits || []).forEach((o) => o.parts.forEach(({ itemId, slot }) => {
+    if (!itemId) return;
+    const entry = byId.get(itemId) || { itemId, bucket: slot, wears: 0 };
+    entry.wears++;
+    byId.set(itemId, entry);
+  })));
+  return buckets
+    .map((bucket) => ({ bucket, items: [...byId.values()].filter((e) => e.bucket === bucket).sort((a, b) => b.wears - a.wears) }))
+    .filter((g) => g.items.length);
+}
@@ -0,0 +1,63 @@
+// App state <-> URL. The active tab is the route (/catalog, /wardrobe, ...) and
+// the tuning settings live in the query string so a link reproduces a setup.
+
+export const ROUTES = ["catalog", "wardrobe", "planner", "trip", "lookbook"];
+export const COLOR_MODES = ["auto", "hsv", "kmeans"];
+
+const BASE = (import.meta.env.BASE_URL || "/").replace(/\/+$/, "");
+
+const int = (min, max) => (raw) => {
+  if (!/^\d+$/.test(raw)) return undefined;
+  const n = Number(raw);
+  return n >= min && n <= max ? n : undefined;
+};
+
+const weight = (raw) => {
+  const n = Number(raw);
+  return raw !== "" && Number.isFinite(n) && n >= 0 && n <= 1 ? Math.round(n * 100) / 100 : undefined;
+};
+
+// setting name -> query key + parser (returns undefined for invalid input) + serializer
+const SETTINGS = {
+  allowTypes: {
+    key: "types",
+    parse: (raw, buckets) => {
+      const list = [...new Set(raw.split(",").filter(Boolean))];
+      return list.length && list.every((b) => buckets.includes(b)) ? list : undefined;
+    },
+    serialize: (v) => v.join(","),
+  },
+  perBucket: { key: "per", parse: int(0, 10) },
+  topk: { key: "topk", parse: int(1, 9999) },
+  colorMode: { key: "color", parse: (raw) => (COLOR_MODES.includes(raw) ? raw : undefined) },
+  colorWeight: { key: "cw", parse: weight },
+  styleWeight: { key: "sw", parse: weight },
+  diversityWeight: { key: "dw", parse: weight },
+};
+
+/**
+ * Parse the current location. Only values that validate are returned, so callers
+ * can fall back to their stored defaults for anything missing or malformed.
+ * @returns {{ tab?: string, settings: Record<string, unknown> }}
+ */
+export function readUrlState(location, buckets) {
+  const path = location.pathname.startsWith(BASE) ? location.pathname.slice(BASE.length) : location.pathname;
+  const segment = path.split("/").filter(Boolean)[0];
+  const query = new URLSearchParams(location.search);
+  const settings = {};
+  Object.entries(SETTINGS).forEach(([name, { key, parse }]) => {
+    if (!query.has(key)) return;
+    const value = parse(query.get(key).trim(), buckets);
+    if (value !== undefined) settings[name] = value;
+  });
+  return { tab: ROUTES.includes(segment) ? segment : undefined, settings };
+}
+
+export function buildAppUrl(tab, settings) {
+  const query = new URLSearchParams();
+  Object.entries(SETTINGS).forEach(([name, { key, serialize = String }]) => {
+    if (settings[name] !== undefined) query.set(key, serialize(settings[name]));
+  });
+  const qs = query.toString();
+  return `${BASE}/${tab}${qs ? `?${qs}` : ""}`;
+}
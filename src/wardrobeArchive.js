@@ -0,0 +1,113 @@
+// Wardrobe archive: a ZIP with every item image plus manifest.json describing
+// bucket, order and metadata, for moving a wardrobe between browsers.
+import { normalizeMeta } from "./itemMeta";
+import { newItemId } from "./wardrobeStore";
+import { createZip, readZip } from "./zip";
+
+export const ARCHIVE_FORMAT = "styleai-wardrobe";
+export const ARCHIVE_VERSION = 1;
+const MANIFEST = "manifest.json";
+
+const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+const TYPES_BY_EXT = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+
+const safeName = (name) => name.replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "_").slice(0, 40) || "item";
+
+/** @returns {Promise<Blob>} */
+export async function exportWardrobeArchive(wardrobe, buckets) {
+  const items = [];
+  const entries = [];
+  buckets.forEach((bucket) => (wardrobe[bucket] || []).forEach((item, order) => {
+    const path = `images/${bucket}/${String(order + 1).padStart(2, "0")}-${safeName(item.file.name)}.${EXTENSIONS[item.file.type] || "jpg"}`;
+    items.push({
+      id: item.id,
+      bucket,
+      order,
+      path,
+      name: item.file.name,
+      type: item.file.type,
+      lastModified: item.file.lastModified,
+      meta: item.meta,
+    });
+    entries.push({ name: path, data: item.file });
+  }));
+  const manifest = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: new Date().toISOString(), items };
+  return createZip([{ name: MANIFEST, data: JSON.stringify(manifest, null, 2) }, ...entries]);
+}
+
+/**
+ * Read an archive back into wardrobe items. Throws when the file isn't a wardrobe
+ * archive; entries that fail `validate(file)` (or are missing/unknown) are skipped.
+ * @param {Blob} blob
+ * @param {{ buckets: string[], validate: (file: File) => void }} options
+ * @returns {Promise<{ wardrobe: Record<string, { id: string, file: File, meta: object }[]>, count: number,
+ *   skipped: { name: string, reason: string }[] }>}
+ */
+export async function readWardrobeArchive(blob, { buckets, validate }) {
+  const { files, errors } = await readZip(blob);
+  if (!files.has(MANIFEST)) throw new Error("Archive has no manifest.json");
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(files.get(MANIFEST)));
+  } catch {
+    throw new Error("manifest.json is not valid JSON");
+  }
+  if (manifest?.format !== ARCHIVE_FORMAT) throw new Error("Not a StyleAI wardrobe archive");
+  if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version ${manifest.version} (this app reads up to ${ARCHIVE_VERSION})`);
+  }
+  if (!Array.isArray(manifest.items)) throw new Error("Manifest has no items list");
+
+  const wardrobe = Object.fromEntries(buckets.map((b) => [b, []]));
+  const skipped = [];
+  const seen = new Set();
+  const sorted = [...manifest.items].sort((a, b) => (a?.order ?? 0) - (b?.order ?? 0));
+
+  for (const entry of sorted) {
+    const name = entry?.name || entry?.path || "unnamed";
+    if (!buckets.includes(entry?.bucket)) { skipped.push({ name, reason: `unknown bucket "${entry?.bucket}"` }); continue; }
+    if (errors.has(entry.path)) { skipped.push({ name, reason: errors.get(entry.path) }); continue; }
+    const data = files.get(entry.path);
+    if (!data) { skipped.push({ name, reason: "image missing from archive" }); continue; }
+
+    const ext = entry.path.split(".").pop().toLowerCase();
+    const file = new File([data], entry.name || entry.path.split("/").pop(), {
+      type: entry.type || TYPES_BY_EXT[ext] || "",
+      lastModified: entry.lastModified || Date.now(),
+    });
+    try {
+      validate(file);
+    } catch (e) {
+      skipped.push({ name, reason: e.message });
+      continue;
+    }
+    // Keep ids so saved outfits still resolve, unless the archive repeats one
+    const id = typeof entry.id === "string" && !seen.has(entry.id) ? entry.id : newItemId();
+    seen.add(id);
+    wardrobe[entry.bucket].push({ id, file, meta: normalizeMeta(entry.meta || {}) });
+  }
+
+  return { wardrobe, count: buckets.reduce((n, b) => n + wardrobe[b].length, 0), skipped };
+}
+
+/**
+ * Combine an imported wardrobe with the current one. "merge" appends and skips
+ * items that are already present (same id); "replace" discards the current items.
+ * @returns {{ wardrobe: object, added: number, duplicates: number }}
+ */
+export function applyArchive(current, imported, buckets, mode) {
+  if (mode === "replace") {
+    return { wardrobe: imported, added: buckets.reduce((n, b) => n + imported[b].length, 0), duplicates: 0 };
+  }
+  const existing = new Set(buckets.flatMap((b) => (current[b] || []).map((i) => i.id)));
+  let added = 0;
+  let duplicates = 0;
+  const wardrobe = Object.fromEntries(buckets.map((b) => {
+    const fresh = imported[b].filter((i) => !existing.has(i.id));
+    added += fresh.length;
+    duplicates += imported[b].length - fresh.length;
+    return [b, [...(current[b] || []), ...fresh]];
+  }));
+  return { wardrobe, added, duplicates };
+}
@@ -0,0 +1,130 @@
+// Wardrobe analytics: how often each piece appears in generated outfits (from
+// the recommendation history), how many combinations the wardrobe allows, and
+// where it's lopsided.
+import { outfitKey } from "./lookbookStore";
+
+// An outfit takes one piece from each of these buckets that has any; outerwear
+// is optional, so it multiplies combinations by (count + 1)
+const CORE_BUCKETS = ["tops", "bottoms", "footwear"];
+const OPTIONAL_BUCKETS = ["outerwear"];
+// A core bucket this many times bigger than another one gets a balance warning
+const IMBALANCE_RATIO = 3;
+
+const singular = (bucket, n) => (n === 1 ? bucket.replace(/s$/, "") : bucket);
+export const countLabel = (bucket, n) => `${n} ${singular(bucket, n)}`;
+
+/** @param {Record<string, number>} counts items per bucket */
+export function comboCapacity(counts) {
+  const core = CORE_BUCKETS.filter((b) => counts[b] > 0);
+  if (core.length + OPTIONAL_BUCKETS.filter((b) => counts[b] > 0).length < 2) return 0;
+  return core.reduce((n, b) => n * counts[b], core.length ? 1 : 0) *
+    OPTIONAL_BUCKETS.reduce((n, b) => n * ((counts[b] || 0) + 1), 1);
+}
+
+export const wardrobeCounts = (wardrobe, buckets) =>
+  Object.fromEntries(buckets.map((b) => [b, wardrobe[b]?.length || 0]));
+
+/**
+ * Per-item usage across stored wardrobe runs. Older entries without item ids
+ * can't be attributed and are skipped.
+ * @returns {{ runs: number, outfits: number, usage: Map<string, { uses: number, outfits: number, runs: number }> }}
+ */
+export function usageFromHistory(history) {
+  const usage = new Map();
+  const entry = (id) => {
+    if (!usage.has(id)) usage.set(id, { uses: 0, outfits: new Set(), runs: 0 });
+    return usage.get(id);
+  };
+  let runs = 0;
+  let outfits = 0;
+  history.filter((e) => e.tab === "wardrobe" && e.itemIds).forEach((e) => {
+    runs++;
+    Object.values(e.itemIds).flat().forEach((id) => entry(id).runs++);
+    (e.response?.items || []).forEach((combo) => {
+      const parts = (combo.parts || [])
+        .map((p) => ({ slot: p.slot, itemId: p.itemId ?? e.itemIds[p.slot]?.[p.idx] }))
+        .filter((p) => p.itemId);
+      if (!parts.length) return;
+      outfits++;
+      const key = outfitKey(parts);
+      parts.forEach((p) => {
+        const u = entry(p.itemId);
+        u.uses++;
+        u.outfits.add(key);
+      });
+    });
+  });
+  return {
+    runs,
+    outfits,
+    usage: new Map([...usage].map(([id, u]) => [id, { ...u, outfits: u.outfits.size }])),
+  };
+}
+
+/**
+ * @returns {{ bucket: string, gain: number }[]} combinations gained by adding
+ *   one piece to each bucket, best first
+ */
+export function nextAdditions(counts, buckets) {
+  const base = comboCapacity(counts);
+  return buckets
+    .map((bucket) => ({ bucket, gain: comboCapacity({ ...counts, [bucket]: counts[bucket] + 1 }) - base }))
+    .filter((a) => a.gain > 0)
+    .sort((a, b) => b.gain - a.gain);
+}
+
+/** @returns {string[]} human-readable balance problems */
+export function balanceWarnings(counts) {
+  const capacity = comboCapacity(counts);
+  const warnings = [];
+  const filled = CORE_BUCKETS.filter((b) => counts[b] > 0);
+  if (filled.length) {
+    CORE_BUCKETS.filter((b) => b !== "footwear" && !counts[b])
+      .forEach((b) => warnings.push(`No ${b} yet: every outfit is missing a ${singular(b, 1)}`));
+  }
+  const big = filled.reduce((a, b) => (counts[b] > counts[a] ? b : a), filled[0]);
+  filled.filter((b) => counts[big] >= counts[b] * IMBALANCE_RATIO).forEach((small) => {
+    warnings.push(`${countLabel(big, counts[big])}, ${countLabel(small, counts[small])} limits combinations to ${capacity}`);
+  });
+  return warnings;
+}
+
+/**
+ * Pieces ranked by how many distinct generated outfits they appear in, i.e. the
+ * combinations that would be lost without them; total appearances break ties.
+ * Pieces that never made it into an outfit are left out.
+ * @param {ReturnType<typeof usageFromHistory>["usage"]} usage
+ * @returns {{ item: object, bucket: string, outfits: number, uses: number }[]}
+ */
+export function keyPieces(wardrobe, buckets, usage) {
+  return buckets
+    .flatMap((bucket) => (wardrobe[bucket] || []).map((item) => ({
+      item,
+      bucket,
+      outfits: usage.get(item.id)?.outfits || 0,
+      uses: usage.get(item.id)?.uses || 0,
+    })))
+    .filter((p) => p.outfits > 0)
+    .sort((a, b) => b.outfits - a.outfits || b.uses - a.uses);
+}
+
+/**
+ * Share of each colour family across the wardrobe, each item weighted equally.
+ * @param {(item: object) => { family: string, share: number }[] | null} colorsOf
+ * @returns {{ shares: Map<string, number>, analysed: number }}
+ */
+export function colorDistribution(items, colorsOf) {
+  const totals = new Map();
+  let analysed = 0;
+  items.forEach((item) => {
+    const colors = colorsOf(item);
+    if (!colors?.length) return;
+    analysed++;
+    const sum = colors.reduce((n, c) => n + c.share, 0) || 1;
+    colors.forEach((c) => totals.set(c.family, (totals.get(c.family) || 0) + c.share / sum));
+  });
+  return {
+    shares: new Map([...totals].map(([f, v]) => [f, v / analysed]).sort((a, b) => b[1] - a[1])),
+    analysed,
+  };
+}
@@ -0,0 +1,108 @@
+// Wardrobe persistence: one IndexedDB record per item (image blob + bucket + order)
+import { withStore } from "./db";
+import { emptyMeta, normalizeMeta } from "./itemMeta";
+
+const STORE = "wardrobe";
+
+// id -> { bucket, order, item } as last written to IndexedDB
+let persisted = new Map();
+// Syncs are chained so overlapping state updates are written in order
+let queue = Promise.resolve();
+
+export const newItemId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const createItem = (file, meta) => ({ id: newItemId(), file, meta: meta ? normalizeMeta(meta) : emptyMeta() });
+
+export const emptyWardrobe = (buckets) => Object.fromEntries(buckets.map((b) => [b, []]));
+
+export const indexItems = (wardrobe) =>
+  new Map(Object.values(wardrobe).flat().map((item) => [item.id, item]));
+
+// Files + index-aligned metadata per bucket, as sent to /wardrobe/recommend
+export const uploadPayload = (wardrobe, buckets) => ({
+  wardrobe: Object.fromEntries(buckets.map((b) => [b, (wardrobe[b] || []).map((item) => item.file)])),
+  meta: Object.fromEntries(buckets.map((b) => [b, (wardrobe[b] || []).map((item) => item.meta)])),
+});
+
+// Combos from the API address parts by (slot, idx) into the wardrobe that was
+// uploaded; pin each part to its item id so later edits don't shift them.
+export const withItemIds = (response, wardrobe) => ({
+  ...response,
+  items: (response?.items || []).map((combo) => ({
+    ...combo,
+    parts: (combo.parts || []).map((p) => ({ ...p, itemId: p.itemId ?? wardrobe[p.slot]?.[p.idx]?.id })),
+  })),
+});
+
+const toRecord = (bucket, order, item) => ({
+  id: item.id,
+  bucket,
+  order,
+  name: item.file.name,
+  type: item.file.type,
+  lastModified: item.file.lastModified,
+  blob: item.file,
+  meta: item.meta,
+});
+
+const fromRecord = (r) => ({
+  id: r.id,
+  file: r.blob instanceof File ? r.blob : new File([r.blob], r.name || `${r.id}.jpg`, { type: r.type, lastModified: r.lastModified }),
+  meta: normalizeMeta(r.meta),
+});
+
+function snapshot(buckets) {
+  const wardrobe = emptyWardrobe(buckets);
+  [...persisted.values()]
+    .sort((a, b) => a.order - b.order)
+    .forEach(({ bucket, item }) => wardrobe[bucket]?.push(item));
+  return wardrobe;
+}
+
+export async function loadWardrobe(buckets) {
+  const records = await withStore(STORE, "readonly", (store) => store.getAll());
+  persisted = new Map();
+  records.forEach((r) => {
+    if (!buckets.includes(r.bucket) || !r.blob) return;
+    persisted.set(r.id, { bucket: r.bucket, order: r.order, item: fromRecord(r) });
+  });
+  return snapshot(buckets);
+}
+
+// Write only what changed since the last successful sync. On failure nothing is
+// written (single transaction) and the error is rethrown to the caller.
+export function syncWardrobe(wardrobe, buckets) {
+  const run = async () => {
+    const next = new Map();
+    buckets.forEach((bucket) =>
+      (wardrobe[bucket] || []).forEach((item, order) => next.set(item.id, { bucket, order, item }))
+    );
+    const dirty = [...next.values()].filter(({ bucket, order, item }) => {
+      const prev = persisted.get(item.id);
+      return !prev || prev.bucket !== bucket || prev.order !== order || prev.item.file !== item.file || prev.item.meta !== item.meta;
+    });
+    const removed = [...persisted.keys()].filter((id) => !next.has(id));
+    if (!dirty.length && !removed.length) return;
+
+    await withStore(STORE, "readwrite", (store) => {
+      removed.forEach((id) => store.delete(id));
+      dirty.forEach(({ bucket, order, item }) => store.put(toRecord(bucket, order, item)));
+    });
+    persisted = next;
+  };
+  queue = queue.then(run, run);
+  return queue;
+}
+
+// The wardrobe as it currently exists in storage (used to roll back failed writes)
+export const lastSavedWardrobe = (buckets) => snapshot(buckets);
+
+export function clearWardrobe() {
+  const run = async () => {
+    await withStore(STORE, "readwrite", (store) => store.clear());
+    persisted = new Map();
+  };
+  queue = queue.then(run, run);
+  return queue;
+}
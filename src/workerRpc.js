@@ -0,0 +1,86 @@
+// Promise wrapper around a dedicated worker speaking { id, type, payload } -> { id, result | error }
+export function createWorkerClient(createWorker) {
+  let worker = null;
+  let seq = 0;
+  const pending = new Map();
+
+  const fail = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+    worker?.terminate();
+    worker = null;
+  };
+
+  const ensure = () => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = ({ data }) => {
+        const job = pending.get(data.id);
+        if (!job) return;
+        pending.delete(data.id);
+        if (data.error) job.reject(new Error(data.error));
+        else job.resolve(data.result);
+      };
+      worker.onerror = (e) => fail(new Error(e.message || "Worker crashed"));
+    }
+    return worker;
+  };
+
+  return {
+    call(type, payload, transfer = []) {
+      return new Promise((resolve, reject) => {
+        const id = ++seq;
+        pending.set(id, { resolve, reject });
+        try {
+          ensure().postMessage({ id, type, payload }, transfer);
+        } catch (e) {
+          pending.delete(id);
+          reject(e);
+        }
+      });
+    },
+    terminate: () => fail(new Error("Worker terminated")),
+  };
+}
+
+export const supportsOffscreenWorkers = () =>
+  typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" && typeof createImageBitmap !== "undefined";
+
+// Canvas factories for the drawing code that workers and their main-thread fallbacks share
+export const offscreenCanvas = (w, h) => new OffscreenCanvas(w, h);
+export const documentCanvas = (w, h) => Object.assign(document.createElement("canvas"), { width: w, height: h });
+
+const clients = new WeakMap(); // createWorker -> client, started on first use
+const results = new WeakMap(); // File -> Map<`${type}:${cacheKey}`, Promise>
+
+/**
+ * Run a `type` job in the worker from `createWorker`, or as `fallback(payload)` on
+ * the main thread when OffscreenCanvas workers are missing or the worker fails.
+ * `createWorker` must be a module-level `() => new Worker(new URL(...))` so Vite
+ * bundles the worker and the client can be reused. With `cacheKey`, results are
+ * memoized per `payload.file`; failed jobs are forgotten so they can be retried.
+ */
+export function runInWorkerOrMain(createWorker, type, payload, fallback, { cacheKey } = {}) {
+  const run = async () => {
+    if (supportsOffscreenWorkers()) {
+      if (!clients.has(createWorker)) clients.set(createWorker, createWorkerClient(createWorker));
+      try {
+        return await clients.get(createWorker).call(type, payload);
+      } catch (e) {
+        console.warn(`Worker job "${type}" failed, falling back to main thread:`, e);
+      }
+    }
+    return fallback(payload);
+  };
+  if (cacheKey === undefined) return run();
+
+  if (!results.has(payload.file)) results.set(payload.file, new Map());
+  const cache = results.get(payload.file);
+  const key = `${type}:${cacheKey}`;
+  if (!cache.has(key)) {
+    const job = run();
+    cache.set(key, job);
+    job.catch(() => cache.delete(key));
+  }
+  return cache.get(key);
+}